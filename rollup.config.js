@@ -3,43 +3,60 @@ import terser from '@rollup/plugin-terser';
 
 const name = 'domPanZoom';
 
-export default {
-  input: 'src/index.js',
-  output: [
-    // ESM
-    {
-      file: 'dist/index.js',
-      format: 'es',
-      sourcemap: true
+export default [
+  // ESM and CommonJS, every component is a separate entry to allow tree-shaking
+  {
+    input: {
+      index: 'src/index.js',
+      minimap: 'src/components/minimap.js',
+      controls: 'src/components/controls.js',
+      compare: 'src/components/compare.js',
+      viewport: 'src/core/viewport.js'
     },
-    // CommonJS
-    {
-      file: 'dist/index.cjs',
-      format: 'cjs',
-      sourcemap: true,
-      exports: 'default'
-    },
-    // UMD (browser global)
-    {
-      file: 'dist/dom-pan-zoom.umd.js',
-      format: 'umd',
-      name,
-      sourcemap: true
-    },
-    {
-      file: 'dist/dom-pan-zoom.umd.min.js',
-      format: 'umd',
-      name,
-      plugins: [
-        terser({
-          compress: true,
-          mangle: true,
-          format: {
-            comments: false
-          }
-        })
-      ]
-    }
-  ],
-  plugins: [resolve()]
-};
+    output: [
+      // ESM
+      {
+        dir: 'dist',
+        entryFileNames: '[name].js',
+        format: 'es',
+        sourcemap: true
+      },
+      // CommonJS
+      {
+        dir: 'dist',
+        entryFileNames: '[name].cjs',
+        format: 'cjs',
+        sourcemap: true,
+        exports: 'default'
+      }
+    ],
+    plugins: [resolve()]
+  },
+  // UMD (browser global) including all components
+  {
+    input: 'src/umd.js',
+    output: [
+      {
+        file: 'dist/dom-pan-zoom.umd.js',
+        format: 'umd',
+        name,
+        sourcemap: true
+      },
+      {
+        file: 'dist/dom-pan-zoom.umd.min.js',
+        format: 'umd',
+        name,
+        plugins: [
+          terser({
+            compress: true,
+            mangle: true,
+            format: {
+              comments: false
+            }
+          })
+        ]
+      }
+    ],
+    plugins: [resolve()]
+  }
+];
@@ -0,0 +1,279 @@
+export default class domPanZoomCompare {
+  constructor(panZoom, options = {}) {
+    const defaultOptions = {
+      // The element to compare with the panZoomElement, e.g. an image after a change
+      // You can use an element object or a selector string
+      // The element is moved into the wrapperElement and follows the panZoomElement
+      element: null,
+
+      // Use 'swipe' to show the element next to a draggable divider
+      // Use 'overlay' to show the element on top of the panZoomElement
+      mode: 'swipe',
+
+      // The position of the divider in percent with mode 'swipe'
+      // The opacity of the element in percent with mode 'overlay'
+      value: 50,
+
+      // A class name to add to the divider
+      // The default divider colors are not applied when using a custom class name
+      dividerClassName: ''
+    };
+
+    this.options = Object.assign({}, defaultOptions, options);
+    this.panZoom = panZoom;
+
+    this.init();
+  }
+
+  // Initialize
+  init() {
+    const wrapper = this.panZoom.getWrapper();
+    let element = this.options.element;
+
+    // Find the element if selector provided
+    if (typeof element === 'string') {
+      element = document.querySelector(element);
+    }
+
+    // Abort if the element is missing, the comparison acts as destroyed
+    if (!(element instanceof Element)) {
+      console.error(
+        'The option element needs to be a valid selector string or an instance of Element.'
+      );
+      this.destroyed = true;
+      return;
+    }
+
+    this.originalWrapperPosition = wrapper.style.position;
+    if (getComputedStyle(wrapper).position == 'static') {
+      wrapper.style.position = 'relative';
+    }
+
+    // Create a layer on top of the panZoomElement
+    const layer = document.createElement('div');
+    Object.assign(layer.style, {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      overflow: 'hidden',
+      pointerEvents: 'none'
+    });
+
+    // Move the element into the layer and remember where it was
+    this.originalElementParent = element.parentNode;
+    this.originalElementSibling = element.nextSibling;
+    this.originalElementStyle = element.style.cssText;
+    layer.appendChild(element);
+    wrapper.appendChild(layer);
+
+    // Create divider
+    const divider = document.createElement('div');
+    Object.assign(divider.style, {
+      position: 'absolute',
+      top: 0,
+      width: '16px',
+      height: '100%',
+      transform: 'translateX(-50%)',
+      cursor: 'ew-resize',
+      touchAction: 'none',
+      zIndex: 1
+    });
+
+    if (this.options.dividerClassName) {
+      divider.className = this.options.dividerClassName;
+    } else {
+      divider.style.background =
+        'linear-gradient(to right, transparent 7px, #fff 7px, #fff 9px, transparent 9px)';
+    }
+
+    wrapper.appendChild(divider);
+
+    this.compareElement = element;
+    this.layerElement = layer;
+    this.dividerElement = divider;
+
+    this.refresh();
+    this.setValue(this.options.value);
+    this.attachEvents();
+  }
+
+  // Update the size of the element, e.g. after the panZoomElement was resized
+  refresh() {
+    // Abort if compare is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    const contentSize = this.panZoom.getContentSize();
+
+    // Elements within an SVG and content without a panZoomElement start at the top left corner
+    const container = !this.panZoom.isSvg && this.panZoom.getContainer();
+
+    Object.assign(this.compareElement.style, {
+      position: 'absolute',
+      top: (container ? container.offsetTop : 0) + 'px',
+      left: (container ? container.offsetLeft : 0) + 'px',
+      width: contentSize.width + 'px',
+      height: contentSize.height + 'px',
+      margin: 0,
+      transformOrigin: '0 0'
+    });
+
+    this.update();
+
+    // Return instance
+    return this;
+  }
+
+  // Follow the rendered position of the panZoomElement
+  update() {
+    // Abort if compare is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.compareElement.style.transform =
+      'matrix(' + this.panZoom.getMatrix().join(', ') + ')';
+
+    // Return instance
+    return this;
+  }
+
+  // Set the position of the divider or the opacity of the element in percent
+  setValue(value) {
+    // Abort if compare is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.value = Math.min(Math.max(value, 0), 100);
+
+    if (this.options.mode == 'overlay') {
+      this.compareElement.style.opacity = this.value / 100;
+      this.dividerElement.style.display = 'none';
+    } else {
+      this.layerElement.style.clipPath = 'inset(0 0 0 ' + this.value + '%)';
+      this.dividerElement.style.left = this.value + '%';
+    }
+
+    // Return instance
+    return this;
+  }
+
+  // Get the position of the divider or the opacity of the element in percent
+  getValue() {
+    return this.value;
+  }
+
+  // Attach events
+  attachEvents() {
+    const divider = this.dividerElement;
+
+    // Follow the main view
+    this.changeEvent = () => this.update();
+    this.resizeEvent = () => this.refresh();
+    this.panZoom.on('change', this.changeEvent);
+    this.panZoom.on('resize', this.resizeEvent);
+
+    // Drag the divider
+    const pointerDownEvent = (ev) => {
+      ev.stopPropagation();
+      this.isDragging = true;
+      divider.setPointerCapture && divider.setPointerCapture(ev.pointerId);
+    };
+
+    const pointerMoveEvent = (ev) => {
+      if (!this.isDragging) {
+        return;
+      }
+
+      const wrapper = this.panZoom.getWrapper();
+      const rect = wrapper.getBoundingClientRect();
+
+      this.setValue(
+        ((ev.clientX - rect.left - wrapper.clientLeft) / wrapper.clientWidth) *
+          100
+      );
+    };
+
+    const pointerUpEvent = () => {
+      this.isDragging = false;
+    };
+
+    // Keep events from reaching the wrapperElement
+    const stopPropagation = (ev) => ev.stopPropagation();
+
+    this.events = [
+      ['pointerdown', pointerDownEvent],
+      ['pointermove', pointerMoveEvent],
+      ['pointerup', pointerUpEvent],
+      ['pointercancel', pointerUpEvent],
+      ['mousedown', stopPropagation],
+      ['touchstart', stopPropagation],
+      ['dblclick', stopPropagation],
+      ['wheel', stopPropagation]
+    ];
+
+    this.events.forEach((event) => {
+      divider.addEventListener(event[0], event[1]);
+    });
+  }
+
+  // Remove all events and restore the element
+  destroy() {
+    // Abort if compare is already destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.panZoom.off('change', this.changeEvent);
+    this.panZoom.off('resize', this.resizeEvent);
+
+    this.events.forEach((event) => {
+      this.dividerElement.removeEventListener(event[0], event[1]);
+    });
+
+    // Move the element back
+    this.compareElement.style.cssText = this.originalElementStyle;
+    this.originalElementParent.insertBefore(
+      this.compareElement,
+      this.originalElementSibling
+    );
+
+    this.layerElement.remove();
+    this.dividerElement.remove();
+
+    // Restore the wrapper position
+    if (!this.panZoom.destroyed) {
+      this.panZoom.getWrapper().style.position = this.originalWrapperPosition;
+    }
+
+    this.compareElement = null;
+    this.layerElement = null;
+    this.dividerElement = null;
+    this.destroyed = true;
+
+    // Return instance
+    return this;
+  }
+
+  // Get a plugin which adds the comparison to an instance
+  static plugin(options) {
+    return {
+      name: 'compare',
+      init() {
+        this.compare = new domPanZoomCompare(this, options);
+      },
+      destroy() {
+        this.compare.destroy();
+      },
+      methods: {
+        getCompare() {
+          return this.compare;
+        }
+      }
+    };
+  }
+}
@@ -0,0 +1,337 @@
+// The built-in buttons
+const defaultButtons = {
+  zoomIn: {
+    text: '+',
+    label: 'Zoom in',
+    action: function () {
+      this.zoomIn();
+    }
+  },
+  zoomOut: {
+    text: '−',
+    label: 'Zoom out',
+    action: function () {
+      this.zoomOut();
+    }
+  },
+  center: {
+    text: '◎',
+    label: 'Center',
+    action: function () {
+      this.center();
+    }
+  },
+  fit: {
+    text: '⤢',
+    label: 'Fit',
+    action: function () {
+      this.zoomTo('contain');
+    }
+  },
+  reset: {
+    text: '↺',
+    label: 'Reset',
+    action: function () {
+      this.reset();
+    }
+  }
+};
+
+export default class domPanZoomControls {
+  constructor(panZoom, options = {}) {
+    const defaultOptions = {
+      // The element to add the controls to
+      // You can use an element object or a selector string
+      element: null,
+
+      // Where to add the controls when the option element is empty
+      // Use 'inside' for the top right of the wrapperElement or 'after' to add them after the wrapperElement
+      placement: 'inside',
+
+      // The buttons to show
+      // Use the names 'zoomIn', 'zoomOut', 'center', 'fit' and 'reset' or objects { text, label, action }
+      // Objects with a name extend the built-in button, e.g. { name: 'zoomIn', text: 'Zoom in' }
+      buttons: ['zoomIn', 'zoomOut', 'center', 'fit'],
+
+      // Show a logarithmic slider between minZoom and maxZoom
+      slider: true,
+
+      // The accessible label of the slider
+      sliderLabel: 'Zoom',
+
+      // Show the current zoom in percent
+      readout: true,
+
+      // The text of the zoom readout, {zoom} will be replaced with the zoom in percent
+      readoutText: '{zoom}%',
+
+      // The accessible label of the controls
+      ariaLabel: 'Zoom controls',
+
+      // A class name to add to the controls
+      className: ''
+    };
+
+    this.options = Object.assign({}, defaultOptions, options);
+    this.panZoom = panZoom;
+
+    this.init();
+  }
+
+  // Initialize
+  init() {
+    const wrapper = this.panZoom.getWrapper();
+    let parent = this.options.element;
+
+    // Find the element if selector provided
+    if (typeof parent === 'string') {
+      parent = document.querySelector(parent);
+    }
+
+    // Create controls, the colors and sizes can be adjusted with CSS custom properties
+    const controls = document.createElement('div');
+    controls.setAttribute('role', 'toolbar');
+    controls.setAttribute('aria-label', this.options.ariaLabel);
+    Object.assign(controls.style, {
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: 'var(--dom-pan-zoom-controls-gap, 4px)',
+      padding: 'var(--dom-pan-zoom-controls-padding, 4px)',
+      background: 'var(--dom-pan-zoom-controls-background, #fff)',
+      color: 'var(--dom-pan-zoom-controls-color, #333)',
+      border:
+        'var(--dom-pan-zoom-controls-border, 1px solid rgba(0, 0, 0, 0.2))',
+      borderRadius: 'var(--dom-pan-zoom-controls-radius, 4px)',
+      font: 'var(--dom-pan-zoom-controls-font, 14px sans-serif)',
+      userSelect: 'none'
+    });
+
+    if (this.options.className) {
+      controls.className = this.options.className;
+    }
+
+    // Position within the wrapper
+    if (!(parent instanceof Element) && this.options.placement == 'after') {
+      wrapper.parentNode.insertBefore(controls, wrapper.nextSibling);
+    } else {
+      if (!(parent instanceof Element)) {
+        parent = wrapper;
+
+        this.originalWrapperPosition = wrapper.style.position;
+        if (getComputedStyle(wrapper).position == 'static') {
+          wrapper.style.position = 'relative';
+        }
+
+        Object.assign(controls.style, {
+          position: 'absolute',
+          top: '10px',
+          right: '10px',
+          zIndex: 1
+        });
+      }
+
+      parent.appendChild(controls);
+    }
+
+    this.controlsElement = controls;
+    this.buttons = [];
+
+    // Create buttons
+    this.options.buttons.forEach((item) => {
+      const name = typeof item === 'string' ? item : item.name;
+      const options = Object.assign(
+        {},
+        defaultButtons[name],
+        typeof item === 'string' ? {} : item
+      );
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = options.text;
+      button.title = options.label;
+      button.setAttribute('aria-label', options.label);
+      Object.assign(button.style, {
+        width: 'var(--dom-pan-zoom-controls-size, 28px)',
+        height: 'var(--dom-pan-zoom-controls-size, 28px)',
+        padding: 0,
+        background: 'var(--dom-pan-zoom-controls-button-background, #f4f4f4)',
+        color: 'inherit',
+        border: 'none',
+        borderRadius: 'var(--dom-pan-zoom-controls-radius, 4px)',
+        font: 'inherit',
+        cursor: 'pointer'
+      });
+
+      button.addEventListener('click', () => {
+        this.panZoom.withSource('controls', () => {
+          options.action.call(this.panZoom);
+        });
+      });
+
+      controls.appendChild(button);
+      this.buttons.push({ name, element: button });
+    });
+
+    // Create slider
+    if (this.options.slider) {
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = 0;
+      slider.max = 1000;
+      slider.step = 1;
+      slider.setAttribute('aria-label', this.options.sliderLabel);
+      Object.assign(slider.style, {
+        width: 'var(--dom-pan-zoom-controls-slider-width, 100px)',
+        accentColor: 'var(--dom-pan-zoom-controls-accent, #0078ff)'
+      });
+
+      slider.addEventListener('input', () => {
+        this.panZoom.withSource('controls', () => {
+          this.panZoom.zoomTo(this.sliderToZoom(slider.value), true);
+        });
+      });
+
+      controls.appendChild(slider);
+      this.sliderElement = slider;
+    }
+
+    // Create zoom readout
+    if (this.options.readout) {
+      const readout = document.createElement('span');
+      Object.assign(readout.style, {
+        minWidth: '3em',
+        textAlign: 'center'
+      });
+
+      controls.appendChild(readout);
+      this.readoutElement = readout;
+    }
+
+    // Keep events from reaching the wrapperElement
+    this.stopPropagationEvent = (ev) => ev.stopPropagation();
+    this.events = [
+      'mousedown',
+      'touchstart',
+      'pointerdown',
+      'dblclick',
+      'keydown',
+      'wheel'
+    ];
+
+    this.events.forEach((event) => {
+      controls.addEventListener(event, this.stopPropagationEvent);
+    });
+
+    // Update when the main view changes
+    this.changeEvent = (position) => this.update(position);
+    this.panZoom.on('change', this.changeEvent);
+    this.panZoom.on('resize', this.changeEvent);
+
+    this.update(this.panZoom.renderPosition);
+  }
+
+  // Get the slider value of a zoom level
+  zoomToSlider(zoom) {
+    const min = Math.log(this.panZoom.options.minZoom);
+    const max = Math.log(this.panZoom.options.maxZoom);
+
+    return ((Math.log(zoom) - min) / (max - min)) * 1000;
+  }
+
+  // Get the zoom level of a slider value
+  sliderToZoom(value) {
+    const min = Math.log(this.panZoom.options.minZoom);
+    const max = Math.log(this.panZoom.options.maxZoom);
+
+    return Math.exp(min + (value / 1000) * (max - min));
+  }
+
+  // Update the buttons, slider and readout
+  update(position = this.panZoom.renderPosition) {
+    // Abort if controls are destroyed
+    if (this.destroyed || !position) {
+      return this;
+    }
+
+    const options = this.panZoom.options;
+    const zoom = this.panZoom.getZoom();
+
+    // Disable the buttons at the limits and at the last zoom levels
+    this.buttons.forEach((button) => {
+      if (button.name == 'zoomIn') {
+        button.element.disabled =
+          zoom >= options.maxZoom || this.panZoom.getNextZoom('in') <= zoom;
+      }
+      if (button.name == 'zoomOut') {
+        button.element.disabled =
+          zoom <= options.minZoom || this.panZoom.getNextZoom('out') >= zoom;
+      }
+    });
+
+    if (this.sliderElement && document.activeElement !== this.sliderElement) {
+      this.sliderElement.value = Math.round(this.zoomToSlider(position.zoom));
+    }
+
+    if (this.readoutElement) {
+      this.readoutElement.textContent = this.options.readoutText.replace(
+        '{zoom}',
+        Math.round(position.zoom * 100)
+      );
+    }
+
+    // Return instance
+    return this;
+  }
+
+  // Remove all events and elements
+  destroy() {
+    // Abort if controls are already destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.panZoom.off('change', this.changeEvent);
+    this.panZoom.off('resize', this.changeEvent);
+
+    this.events.forEach((event) => {
+      this.controlsElement.removeEventListener(
+        event,
+        this.stopPropagationEvent
+      );
+    });
+
+    this.controlsElement.remove();
+
+    // Restore the wrapper position
+    if (this.originalWrapperPosition != null && !this.panZoom.destroyed) {
+      this.panZoom.getWrapper().style.position = this.originalWrapperPosition;
+    }
+
+    this.controlsElement = null;
+    this.sliderElement = null;
+    this.readoutElement = null;
+    this.buttons = [];
+    this.destroyed = true;
+
+    // Return instance
+    return this;
+  }
+
+  // Get a plugin which adds the controls to an instance
+  static plugin(options) {
+    return {
+      name: 'controls',
+      init() {
+        this.controls = new domPanZoomControls(this, options);
+      },
+      destroy() {
+        this.controls.destroy();
+      },
+      methods: {
+        getControls() {
+          return this.controls;
+        }
+      }
+    };
+  }
+}
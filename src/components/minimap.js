@@ -0,0 +1,350 @@
+export default class domPanZoomMinimap {
+  constructor(panZoom, options = {}) {
+    const defaultOptions = {
+      // The element to add the minimap to
+      // You can use an element object or a selector string
+      // The minimap is added to the bottom right of the wrapperElement when empty
+      element: null,
+
+      // The URL of an image to show in the minimap
+      // A copy of the panZoomElement is shown when empty
+      thumbnail: null,
+
+      // The width of the minimap in pixels, the height depends on the panZoomElement
+      width: 150,
+
+      // A class name to add to the minimap
+      // The default minimap colors are not applied when using a custom class name
+      className: '',
+
+      // A class name to add to the viewport rectangle
+      // The default viewport colors are not applied when using a custom class name
+      viewportClassName: ''
+    };
+
+    this.options = Object.assign({}, defaultOptions, options);
+    this.panZoom = panZoom;
+
+    this.init();
+  }
+
+  // Initialize
+  init() {
+    const wrapper = this.panZoom.getWrapper();
+    let parent = this.options.element;
+
+    // Find the element if selector provided
+    if (typeof parent === 'string') {
+      parent = document.querySelector(parent);
+    }
+
+    // Create minimap
+    const minimap = document.createElement('div');
+    minimap.setAttribute('aria-hidden', 'true');
+    Object.assign(minimap.style, {
+      position: 'relative',
+      overflow: 'hidden',
+      cursor: 'pointer',
+      touchAction: 'none',
+      userSelect: 'none'
+    });
+
+    // Position within the wrapper
+    if (!(parent instanceof Element)) {
+      parent = wrapper;
+
+      this.originalWrapperPosition = wrapper.style.position;
+      if (getComputedStyle(wrapper).position == 'static') {
+        wrapper.style.position = 'relative';
+      }
+
+      Object.assign(minimap.style, {
+        position: 'absolute',
+        right: '10px',
+        bottom: '10px',
+        zIndex: 1
+      });
+    }
+
+    if (this.options.className) {
+      minimap.className = this.options.className;
+    } else {
+      Object.assign(minimap.style, {
+        background: '#fff',
+        border: '1px solid rgba(0, 0, 0, 0.2)',
+        boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)'
+      });
+    }
+
+    // Create viewport rectangle
+    const viewport = document.createElement('div');
+    Object.assign(viewport.style, {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      boxSizing: 'border-box',
+      cursor: 'move'
+    });
+
+    if (this.options.viewportClassName) {
+      viewport.className = this.options.viewportClassName;
+    } else {
+      Object.assign(viewport.style, {
+        border: '2px solid rgba(0, 120, 255, 0.9)',
+        background: 'rgba(0, 120, 255, 0.15)'
+      });
+    }
+
+    minimap.appendChild(viewport);
+    parent.appendChild(minimap);
+
+    this.minimapElement = minimap;
+    this.viewportElement = viewport;
+
+    // Add content and attach events
+    this.refresh();
+    this.attachEvents();
+  }
+
+  // Update the content of the minimap, e.g. after the panZoomElement changed
+  refresh() {
+    // Abort if minimap is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    const container = this.panZoom.getContainer();
+    const contentSize = this.panZoom.getContentSize();
+    const width = contentSize.width;
+    const height = contentSize.height;
+
+    this.scale = this.options.width / width;
+    this.minimapElement.style.width = this.options.width + 'px';
+    this.minimapElement.style.height = height * this.scale + 'px';
+
+    // Remove previous content
+    this.contentElement && this.contentElement.remove();
+
+    let content;
+
+    if (this.options.thumbnail) {
+      content = document.createElement('img');
+      content.src = this.options.thumbnail;
+      content.alt = '';
+      Object.assign(content.style, {
+        width: '100%',
+        height: '100%'
+      });
+    } else if (!container) {
+      // Without a panZoomElement only the viewport rectangle is shown
+      content = document.createElement('div');
+    } else if (this.panZoom.isSvg) {
+      // Copy the SVG element into an own SVG showing its bounding box
+      const box = this.panZoom.svgBox;
+      const copy = container.cloneNode(true);
+      copy.removeAttribute('id');
+      copy.removeAttribute('transform');
+      copy.querySelectorAll('[id]').forEach((el) => {
+        el.removeAttribute('id');
+      });
+
+      content = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      content.setAttribute(
+        'viewBox',
+        [box.x, box.y, box.width, box.height].join(' ')
+      );
+      content.appendChild(copy);
+      Object.assign(content.style, {
+        width: '100%',
+        height: '100%'
+      });
+    } else {
+      // Copy the panZoomElement without ids to avoid duplicates
+      content = container.cloneNode(true);
+      content.removeAttribute('id');
+      content.querySelectorAll('[id]').forEach((el) => {
+        el.removeAttribute('id');
+      });
+      Object.assign(content.style, {
+        width: width + 'px',
+        height: height + 'px',
+        transform: 'scale(' + this.scale + ')',
+        transformOrigin: '0 0'
+      });
+    }
+
+    Object.assign(content.style, {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      pointerEvents: 'none'
+    });
+
+    this.minimapElement.insertBefore(content, this.viewportElement);
+    this.contentElement = content;
+
+    this.update(this.panZoom.renderPosition);
+
+    // Return instance
+    return this;
+  }
+
+  // Update the viewport rectangle
+  update(position = this.panZoom.renderPosition) {
+    // Abort if minimap is destroyed
+    if (this.destroyed || !position) {
+      return this;
+    }
+
+    const wrapper = this.panZoom.getWrapper();
+    const point = this.panZoom.getPanPoint(position);
+    const width = (wrapper.clientWidth / position.zoom) * this.scale;
+    const height = (wrapper.clientHeight / position.zoom) * this.scale;
+
+    Object.assign(this.viewportElement.style, {
+      width: width + 'px',
+      height: height + 'px',
+      transform:
+        'translate(' +
+        (point.x * this.scale - width * 0.5) +
+        'px, ' +
+        (point.y * this.scale - height * 0.5) +
+        'px) rotate(' +
+        position.rotation * -1 +
+        'deg)'
+    });
+
+    // Return instance
+    return this;
+  }
+
+  // Attach events
+  attachEvents() {
+    const minimap = this.minimapElement;
+
+    // Update when the main view changes
+    this.changeEvent = (position) => this.update(position);
+    this.resizeEvent = () => this.refresh();
+    this.panZoom.on('change', this.changeEvent);
+    this.panZoom.on('resize', this.resizeEvent);
+
+    // Get the point of the panZoomElement in percent
+    const getPoint = (ev) => {
+      const contentSize = this.panZoom.getContentSize();
+      const rect = minimap.getBoundingClientRect();
+      const x = (ev.clientX - rect.left - minimap.clientLeft) / this.scale;
+      const y = (ev.clientY - rect.top - minimap.clientTop) / this.scale;
+
+      return {
+        x: (x / contentSize.width) * 100,
+        y: (y / contentSize.height) * 100
+      };
+    };
+
+    // Pan to the pointer, keep the offset when dragging the viewport rectangle
+    const pointerDownEvent = (ev) => {
+      ev.stopPropagation();
+
+      const point = getPoint(ev);
+      const pan = this.panZoom.getPan();
+
+      this.dragOffset = { x: 0, y: 0 };
+
+      if (ev.target === this.viewportElement) {
+        this.dragOffset = { x: point.x - pan.x, y: point.y - pan.y };
+      } else {
+        this.panZoom.withSource('minimap', () => {
+          this.panZoom.panTo(point.x, point.y);
+        });
+      }
+
+      minimap.setPointerCapture && minimap.setPointerCapture(ev.pointerId);
+    };
+
+    const pointerMoveEvent = (ev) => {
+      if (!this.dragOffset) {
+        return;
+      }
+
+      const point = getPoint(ev);
+
+      this.panZoom.withSource('minimap', () => {
+        this.panZoom.panTo(
+          point.x - this.dragOffset.x,
+          point.y - this.dragOffset.y,
+          true
+        );
+      });
+    };
+
+    const pointerUpEvent = () => {
+      this.dragOffset = null;
+    };
+
+    // Keep events from reaching the wrapperElement
+    const stopPropagation = (ev) => ev.stopPropagation();
+
+    this.events = [
+      ['pointerdown', pointerDownEvent],
+      ['pointermove', pointerMoveEvent],
+      ['pointerup', pointerUpEvent],
+      ['pointercancel', pointerUpEvent],
+      ['mousedown', stopPropagation],
+      ['touchstart', stopPropagation],
+      ['dblclick', stopPropagation],
+      ['wheel', stopPropagation]
+    ];
+
+    this.events.forEach((event) => {
+      minimap.addEventListener(event[0], event[1]);
+    });
+  }
+
+  // Remove all events and elements
+  destroy() {
+    // Abort if minimap is already destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.panZoom.off('change', this.changeEvent);
+    this.panZoom.off('resize', this.resizeEvent);
+
+    this.events.forEach((event) => {
+      this.minimapElement.removeEventListener(event[0], event[1]);
+    });
+
+    this.minimapElement.remove();
+
+    // Restore the wrapper position
+    if (this.originalWrapperPosition != null && !this.panZoom.destroyed) {
+      this.panZoom.getWrapper().style.position = this.originalWrapperPosition;
+    }
+
+    this.minimapElement = null;
+    this.viewportElement = null;
+    this.contentElement = null;
+    this.destroyed = true;
+
+    // Return instance
+    return this;
+  }
+
+  // Get a plugin which adds the minimap to an instance
+  static plugin(options) {
+    return {
+      name: 'minimap',
+      init() {
+        this.minimap = new domPanZoomMinimap(this, options);
+      },
+      destroy() {
+        this.minimap.destroy();
+      },
+      methods: {
+        getMinimap() {
+          return this.minimap;
+        }
+      }
+    };
+  }
+}
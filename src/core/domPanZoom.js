@@ -1,3 +1,7 @@
+import easings from './easings.js';
+import link from './link.js';
+import Viewport from './viewport.js';
+
 export default class domPanZoom {
   constructor(options = {}) {
     const defaultOptions = {
@@ -6,16 +10,37 @@ export default class domPanZoom {
       wrapperElement: null,
       panZoomElement: null,
 
+      // The unzoomed size of the content in pixels
+      // Use these options instead of panZoomElement to pan and zoom content without an element, e.g. a canvas scene
+      contentWidth: null,
+      contentHeight: null,
+
+      // A function to render a position instead of transforming the panZoomElement
+      // It is called with the position { zoom, rotation, x, y } and the matrix [a, b, c, d, e, f] relative to the wrapperElement
+      render: null,
+
       // Start with a centered position
       // This option overrides options initalPanX and initialPanY
       center: true,
 
       // Setting the option bounds to 'contain' or 'cover' limits the boundries of the panZoomElement to the wrapperElement
       // This works similar to the CSS property 'background-size: contain / cover'
+      // Use 'visible' to keep a part of the panZoomElement visible, see option boundsVisible
       // Disable bound by setting this option to 'false'
       // This option might effect the option minZoom
       bounds: 'contain',
 
+      // The space between the bounds and the wrapperElement, e.g. to keep the panZoomElement clear of toolbars
+      // Use pixels, a percent string of the wrapperElement size or an object { top, right, bottom, left }
+      boundsPadding: 0,
+
+      // Limit the bounds to a rectangle { x, y, width, height } of the panZoomElement in unzoomed pixels
+      // The whole panZoomElement is used when empty
+      boundsRect: null,
+
+      // How many percent of the panZoomElement have to stay visible with the option bounds 'visible'
+      boundsVisible: 20,
+
       // Minimum and maximum zoom
       minZoom: 0.1,
       maxZoom: 10,
@@ -26,6 +51,17 @@ export default class domPanZoom {
       // How many percent to zoom by default with the methods zoomIn and zoomOut
       zoomStep: 50,
 
+      // Fixed zoom levels, e.g. [0.25, 0.5, 1, 2, 4, 'contain']
+      // The methods zoomIn and zoomOut step through the levels, the mouse wheel and pinching snap to the nearest level when they end
+      zoomLevels: null,
+
+      // Unzoomed points { x, y } of the panZoomElement in pixels to settle on after a drag, e.g. the tops of pages
+      // Leave x or y empty to snap along one axis only, e.g. { y: 1200 }
+      snapPoints: null,
+
+      // Where to show the snap points in the wrapperElement, use 'start' for the top left corner or 'center'
+      snapAlign: 'start',
+
       // The speed in which to zoom when using mouse wheel
       zoomSpeedWheel: 1,
 
@@ -38,32 +74,182 @@ export default class domPanZoom {
       // Use 'cover' or 'contain' to limit the panZoomElement bounds to the wrapperElement
       initialZoom: 'contain',
 
+      // Initial rotation in degrees
+      initialRotation: 0,
+
+      // Rotate with two finger touch gestures
+      pinchRotate: false,
+
       // Initial pan in percent
       // The option 'center' has to be 'false' for initial panning to work
       initialPanX: 0,
       initialPanY: 0,
 
+      // Pan by dragging with the mouse or one finger
+      drag: true,
+
+      // Zoom with the mouse wheel
+      wheel: true,
+
+      // Zoom and pan with two finger touch gestures
+      pinch: true,
+
+      // Pan only along one axis with 'x' or 'y'
+      // Use 'auto' to lock the direction of each drag to the axis it starts moving along
+      lockAxis: false,
+
       // Prefer scrolling the page to zooming with mousewheel or panning with touch event
-      // TODO how does google do it with tough events (use two fingers) ??
-      preferPageScroll: true,
+      // Zooming with the mousewheel then requires the ctrl key (cmd key on mac)
+      // Panning and zooming with touch events then requires two fingers
+      preferPageScroll: false,
 
-      // The text to show when the option preferPageScroll is enabled
+      // The text to show in the overlay when the option preferPageScroll is enabled
       preferPageScrollText: {
-        // TODO Differentiate between mac and windows
+        mac: 'Use ⌘ + scroll to zoom',
+        other: 'Use Ctrl + scroll to zoom',
+        touch: 'Use two fingers to move'
+      },
+
+      // How long to show the preferPageScroll overlay in milliseconds
+      preferPageScrollDuration: 1500,
+
+      // A class name to add to the preferPageScroll overlay
+      // The default overlay colors are not applied when using a custom class name
+      preferPageScrollClass: '',
+
+      // Pan and zoom with the keyboard when the wrapper element has focus
+      // This also makes the wrapper element focusable and adds ARIA attributes
+      keyboard: false,
+
+      // The keys to use with the option keyboard
+      // Use a method name or a function as value, or null to disable a key
+      keyboardKeys: {
+        'ArrowLeft': 'panLeft',
+        'ArrowRight': 'panRight',
+        'ArrowUp': 'panUp',
+        'ArrowDown': 'panDown',
+        '+': 'zoomIn',
+        '=': 'zoomIn',
+        '-': 'zoomOut',
+        '_': 'zoomOut',
+        '0': 'reset',
+        'Home': 'reset'
       },
 
+      // The accessible label of the wrapper element when the option keyboard is enabled
+      ariaLabel: 'Pan and zoom viewer',
+
+      // Announce zoom changes to screen readers with a live region
+      announceZoom: false,
+
+      // The text to announce, {zoom} will be replaced with the zoom in percent
+      announceZoomText: 'Zoom {zoom}%',
+
+      // Zoom in by zoomStep with a double click or double tap
+      // Hold the shift key or double tap at maxZoom to zoom out
+      doubleTapZoom: false,
+
+      // How to zoom out with a double click or double tap, use 'zoomOut' or 'reset'
+      doubleTapZoomOut: 'zoomOut',
+
+      // The maximum time between two taps in milliseconds
+      doubleTapDelay: 300,
+
+      // Elements within the panZoomElement which don't start a drag or double tap, e.g. form fields
+      // Elements with the attribute data-dom-pan-zoom-exclude are always excluded
+      excludeSelector: 'input, textarea, select, button, [contenteditable]',
+
+      // How many pixels the pointer has to move before a drag starts
+      // Clicks are only suppressed after a drag
+      dragThreshold: 3,
+
+      // Keep gliding with friction after a drag is released
+      inertia: true,
+
+      // The multiplier applied to the glide velocity every 16 milliseconds
+      // Lower values stop the glide sooner
+      inertiaFriction: 0.95,
+
+      // The glide stops once the velocity drops below this value in pixels per millisecond
+      inertiaMinVelocity: 0.05,
+
+      // Let dragging and pinching go beyond the bounds and zoom limits with resistance
+      // The panZoomElement springs back once released
+      elastic: false,
+
+      // How far the panZoomElement can be pulled beyond the bounds
+      // Higher values have less resistance
+      elasticResistance: 0.55,
+
+      // The stiffness and damping of the spring back animation
+      elasticStiffness: 170,
+      elasticDamping: 26,
+
+      // Adjust minZoom and the position when the size of the wrapperElement or panZoomElement changes
+      // The visual center and the zoom relative to the wrapperElement are kept
+      observeResize: true,
+
+      // Synchronize the view with the URL
+      // Use 'hash' to store it in location.hash or 'query' to store it as query parameter
+      syncUrl: false,
+
+      // The name of the URL parameter used with the option syncUrl
+      syncUrlParam: 'view',
+
+      // How long to wait after a change before updating the URL in milliseconds
+      syncUrlDelay: 300,
+
       // Transition speed for panning and zooming in milliseconds
       // Higher values are slower
       transitionSpeed: 400,
 
+      // The easing of transitions
+      // Use the name of a built-in easing function or a custom function which maps the progress from 0 to 1
+      // Built-in: linear, easeInQuad, easeOutQuad, easeInOutQuad, easeInCubic, easeOutCubic, easeInOutCubic
+      easing: 'easeOutCubic',
+
+      // Plugins to use with this instance
+      // Plugins added with domPanZoom.use() are used with every instance
+      plugins: [],
+
       // Events
       onInit: null,
       onChange: null,
       onZoom: null,
-      onPan: null
+      onPan: null,
+      onPanStart: null,
+      onPanEnd: null,
+      onZoomStart: null,
+      onZoomEnd: null,
+      onTransitionEnd: null,
+      onBeforeChange: null,
+      onResize: null
     };
 
     this.options = Object.assign({}, defaultOptions, options);
+    this.options.preferPageScrollText = Object.assign(
+      {},
+      defaultOptions.preferPageScrollText,
+      options.preferPageScrollText
+    );
+    this.options.keyboardKeys = Object.assign(
+      {},
+      defaultOptions.keyboardKeys,
+      options.keyboardKeys
+    );
+
+    // Event listeners added with the method on
+    this.listeners = {};
+
+    // Plugins added with domPanZoom.use() and the option plugins
+    this.plugins = domPanZoom.plugins
+      .concat(this.options.plugins)
+      .filter((plugin, index, plugins) => plugins.indexOf(plugin) == index);
+
+    // Add the methods of plugins
+    this.plugins.forEach((plugin) => {
+      Object.assign(this, plugin.methods);
+    });
 
     this.init();
   }
@@ -74,45 +260,98 @@ export default class domPanZoom {
     const wrapper = this.getWrapper();
     const container = this.getContainer();
 
+    // Remember original inline styles so they can be restored on destroy
+    this.originalStyles = {
+      wrapperCursor: wrapper.style.cursor,
+      wrapperOverflow: wrapper.style.overflow,
+      wrapperPosition: wrapper.style.position,
+      wrapperTouchAction: wrapper.style.touchAction,
+      containerTransform: container && container.style.transform,
+      containerTransformAttribute:
+        container && container.getAttribute('transform')
+    };
+
+    // Elements within an SVG are transformed with the transform attribute to stay sharp
+    this.isSvg =
+      typeof SVGGraphicsElement !== 'undefined' &&
+      container instanceof SVGGraphicsElement &&
+      !!container.ownerSVGElement;
+
+    if (this.isSvg) {
+      this.updateSvgBox();
+    }
+
     // Add styles
     wrapper.style.cursor = 'grab';
     wrapper.style.overflow = 'hidden';
 
+    // Let the browser scroll the page with one finger
+    // Otherwise touches pan and pinch the panZoomElement instead of the page
+    if (this.options.preferPageScroll) {
+      wrapper.style.touchAction = 'pan-x pan-y';
+    } else {
+      wrapper.style.touchAction = 'none';
+    }
+
+    // Inputs which can be enabled and disabled at runtime
+    this.enabledInputs = {
+      drag: this.options.drag,
+      wheel: this.options.wheel,
+      pinch: this.options.pinch,
+      doubleTap: this.options.doubleTapZoom,
+      keyboard: this.options.keyboard
+    };
+
+    // Add keyboard support and ARIA attributes
+    this.addedAttributes = [];
+    if (this.options.keyboard) {
+      this.addKeyboardAttributes();
+    }
+
+    // Create a live region to announce zoom changes
+    if (this.options.announceZoom) {
+      const liveRegion = document.createElement('div');
+      liveRegion.setAttribute('aria-live', 'polite');
+      liveRegion.setAttribute('aria-atomic', 'true');
+      Object.assign(liveRegion.style, {
+        position: 'absolute',
+        width: '1px',
+        height: '1px',
+        margin: '-1px',
+        padding: 0,
+        overflow: 'hidden',
+        clip: 'rect(0 0 0 0)',
+        whiteSpace: 'nowrap',
+        border: 0
+      });
+      wrapper.appendChild(liveRegion);
+      this.liveRegionElement = liveRegion;
+    }
+
     // Cache
+    this.finished = Promise.resolve(true);
+    this.gestures = { pan: null, zoom: null };
+    this.events = [];
     this.evCache = [];
     this.pinchDiffCache = 0;
     this.pinchMoveCache = null;
+    this.velocityX = 0;
+    this.velocityY = 0;
+    this.lastMoveTime = null;
 
     // Attach events
     this.attachEvents();
 
-    // Adjust minZoom for option bounds
-    if (this.options.bounds) {
-      const maxWidth = wrapper.clientWidth;
-      const maxHeight = wrapper.clientHeight;
-
-      const panZoomWidth = container.clientWidth;
-      const panZoomHeight = container.clientHeight;
+    // Set initial rotation
+    this.rotation = this.options.initialRotation;
 
-      const minZoomX = maxWidth / panZoomWidth;
-      const minZoomY = maxHeight / panZoomHeight;
-
-      if (this.options.bounds == 'cover') {
-        this.options.minZoom = Math.max(
-          this.options.minZoom,
-          minZoomX,
-          minZoomY
-        );
-      } else {
-        this.options.minZoom = Math.max(
-          this.options.minZoom,
-          Math.min(minZoomX, minZoomY)
-        );
-      }
-    }
+    // Adjust minZoom for option bounds
+    this.initialMinZoom = this.options.minZoom;
+    this.updateMinZoom();
 
     // Set initial zoom
     this.zoom = this.sanitizeZoom(this.options.initialZoom);
+    this.announcedZoom = this.zoom;
 
     // Set initial pan
     this.x = this.options.initialPanX;
@@ -125,13 +364,326 @@ export default class domPanZoom {
       this.panTo(this.options.initialPanX, this.options.initialPanY, true);
     }
 
+    // Restore the view from the URL
+    if (this.options.syncUrl) {
+      const state = this.readUrlState();
+      state && this.setState(state, true);
+
+      this.addEvent(window, 'popstate', () => {
+        const state = this.readUrlState();
+        state && this.setState(state);
+      });
+    }
+
+    // Watch size changes
+    if (this.options.observeResize && typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.resize());
+      this.resizeObserver.observe(wrapper);
+      container && this.resizeObserver.observe(container);
+    }
+
+    // Initialize plugins
+    this.callPlugins('init');
+
     // Trigger event
+    this.initialized = true;
     this.fireEvent('onInit', this.getPosition());
   }
 
-  // Fire an event from the options
+  // Adjust minZoom for option bounds
+  updateMinZoom() {
+    this.options.minZoom = this.initialMinZoom;
+
+    if (this.options.bounds && this.options.bounds != 'visible') {
+      this.options.minZoom = Math.max(
+        this.options.minZoom,
+        this.getFitZoom(this.options.bounds == 'cover' ? 'cover' : 'contain')
+      );
+    }
+
+    this.getViewport().set({ minZoom: this.options.minZoom });
+  }
+
+  // Get the zoom to fit the container into the wrapper with 'contain' or 'cover'
+  // The options boundsPadding and boundsRect are taken into account
+  getFitZoom(type, rotation = this.rotation) {
+    return this.getViewport().getFitZoom(type, rotation);
+  }
+
+  // Get the rectangle of the container to limit to the bounds
+  getBoundsRect() {
+    return this.getViewport().getBoundsRect();
+  }
+
+  // Get the unzoomed size of the bounding box of the rotated bounds rectangle
+  getBoundsSize(rotation = this.rotation) {
+    return this.getViewport().getBoundsSize(rotation);
+  }
+
+  // Get the option boundsPadding in pixels
+  getBoundsPadding() {
+    return this.getViewport().getBoundsPadding();
+  }
+
+  // Get the unzoomed size of the container
+  // SVG elements are measured with their bounding box
+  getContentSize() {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
+    if (this.hasContentSize()) {
+      return {
+        width: this.options.contentWidth,
+        height: this.options.contentHeight
+      };
+    }
+
+    if (this.isSvg) {
+      return {
+        width: this.svgBox.width * this.svgBox.scale,
+        height: this.svgBox.height * this.svgBox.scale
+      };
+    }
+
+    const container = this.getContainer();
+
+    return {
+      width: container.clientWidth,
+      height: container.clientHeight
+    };
+  }
+
+  // Get the viewport model with the current sizes and options
+  getViewport() {
+    !this.viewport && this.updateViewport();
+    return this.viewport;
+  }
+
+  // Update the viewport model to the current sizes and options
+  // This is called when the sizes change, the maths then use the model without measuring again
+  updateViewport() {
+    const wrapper = this.getWrapper();
+    const contentSize = this.getContentSize();
+
+    this.viewport = this.viewport || new Viewport();
+    this.viewport.set({
+      wrapperWidth: wrapper.clientWidth,
+      wrapperHeight: wrapper.clientHeight,
+      contentWidth: contentSize.width,
+      contentHeight: contentSize.height,
+      bounds: this.options.bounds,
+      boundsPadding: this.options.boundsPadding,
+      boundsRect: this.options.boundsRect,
+      boundsVisible: this.options.boundsVisible,
+      minZoom: this.options.minZoom,
+      maxZoom: this.options.maxZoom
+    });
+  }
+
+  // Check if the size of the content is set with options
+  hasContentSize() {
+    return !!(this.options.contentWidth && this.options.contentHeight);
+  }
+
+  // Set the unzoomed size of the content, e.g. after a new canvas scene was loaded
+  setContentSize(width, height) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.options.contentWidth = width;
+    this.options.contentHeight = height;
+    this.resize();
+
+    // Return instance
+    return this;
+  }
+
+  // Get the unzoomed size of the bounding box of the rotated container
+  getContainerSize(rotation = this.rotation) {
+    return this.getViewport().getContainerSize(rotation);
+  }
+
+  // Rotate a point around the origin
+  rotatePoint(x, y, rotation) {
+    return Viewport.rotatePoint(x, y, rotation);
+  }
+
+  // Fire an event from the options and the event listeners
+  // Returns false if a handler returned false
   fireEvent(event, pass) {
-    this.options[event] && this.options[event].bind(this)(pass);
+    pass.source = pass.source || this.source || 'api';
+
+    const name = event.slice(2).toLowerCase();
+    const handlers = [this.options[event]].concat(this.listeners[name] || []);
+    let result = true;
+
+    handlers.forEach((handler) => {
+      if (handler && handler.bind(this)(pass) === false) {
+        result = false;
+      }
+    });
+
+    return result;
+  }
+
+  // Call a hook of all plugins
+  // Returns false if a plugin returned false
+  callPlugins(hook, ...args) {
+    let result = true;
+
+    this.plugins.forEach((plugin) => {
+      if (plugin[hook] && plugin[hook].apply(this, args) === false) {
+        result = false;
+      }
+    });
+
+    return result;
+  }
+
+  // Add an event listener
+  on(event, handler) {
+    this.listeners[event] = (this.listeners[event] || []).concat(handler);
+
+    // Return instance
+    return this;
+  }
+
+  // Remove an event listener, or all listeners of an event without a handler
+  off(event, handler) {
+    this.listeners[event] = handler
+      ? (this.listeners[event] || []).filter(
+          (item) => item !== handler && item.handler !== handler
+        )
+      : [];
+
+    // Return instance
+    return this;
+  }
+
+  // Add an event listener which is removed after its first call
+  once(event, handler) {
+    const onceHandler = (pass) => {
+      this.off(event, onceHandler);
+      return handler.bind(this)(pass);
+    };
+    onceHandler.handler = handler;
+
+    return this.on(event, onceHandler);
+  }
+
+  // Run a callback and pass the source to all events it triggers
+  withSource(source, callback) {
+    const previousSource = this.source;
+    this.source = source;
+    callback();
+    this.source = previousSource;
+  }
+
+  // Fire the start event of a gesture
+  startGesture(type, source) {
+    if (this.gestures[type]) {
+      return;
+    }
+
+    this.gestures[type] = source || this.source || 'api';
+
+    const pass = this.getPosition();
+    pass.source = this.gestures[type];
+    this.fireEvent(type == 'zoom' ? 'onZoomStart' : 'onPanStart', pass);
+  }
+
+  // Fire the end event of a gesture
+  endGesture(type) {
+    if (!this.gestures[type]) {
+      return;
+    }
+
+    const pass = this.getPosition();
+    pass.source = this.gestures[type];
+    this.gestures[type] = null;
+    this.fireEvent(type == 'zoom' ? 'onZoomEnd' : 'onPanEnd', pass);
+  }
+
+  // End changes which are no gestures once the transition ends
+  endTransition(animated) {
+    ['zoom', 'pan'].forEach((type) => {
+      this.gestures[type] &&
+        !this.isGestureSource(this.gestures[type]) &&
+        this.endGesture(type);
+    });
+
+    if (animated) {
+      const pass = this.getPosition();
+      pass.source = this.transitionSource;
+      this.fireEvent('onTransitionEnd', pass);
+    }
+  }
+
+  // Check if a source is a continuous gesture with own start and end events
+  isGestureSource(source) {
+    return ['drag', 'inertia', 'wheel', 'pinch'].indexOf(source) != -1;
+  }
+
+  // Add an attribute unless the element already has it
+  addAttribute(element, name, value) {
+    if (!element.hasAttribute(name) && value) {
+      element.setAttribute(name, value);
+      this.addedAttributes.push({ element, name });
+    }
+  }
+
+  // Make the wrapper focusable and add ARIA attributes for keyboard support
+  addKeyboardAttributes() {
+    const wrapper = this.getWrapper();
+
+    this.addAttribute(wrapper, 'tabindex', '0');
+    this.addAttribute(wrapper, 'role', 'region');
+    this.addAttribute(wrapper, 'aria-roledescription', 'pan and zoom viewer');
+    this.addAttribute(wrapper, 'aria-label', this.options.ariaLabel);
+  }
+
+  // Remove the attributes added for keyboard support
+  removeKeyboardAttributes() {
+    const wrapper = this.getWrapper();
+    const names = ['tabindex', 'role', 'aria-roledescription', 'aria-label'];
+
+    this.addedAttributes = this.addedAttributes.filter((item) => {
+      if (item.element !== wrapper || names.indexOf(item.name) == -1) {
+        return true;
+      }
+
+      item.element.removeAttribute(item.name);
+      return false;
+    });
+  }
+
+  // Add an event listener and remember it so it can be removed later
+  addEvent(element, event, handler, options) {
+    element.addEventListener(event, handler, options);
+    this.events.push({ element, event, handler, options });
+  }
+
+  // Remove an event listener added with addEvent
+  removeEvent(element, event, handler, options) {
+    element.removeEventListener(event, handler, options);
+    this.events = this.events.filter(
+      (item) =>
+        item.element !== element ||
+        item.event !== event ||
+        item.handler !== handler
+    );
+  }
+
+  // Remove all event listeners added with addEvent
+  removeEvents() {
+    this.events.forEach((item) => {
+      item.element.removeEventListener(item.event, item.handler, item.options);
+    });
+    this.events = [];
   }
 
   // Attach events
@@ -139,6 +691,8 @@ export default class domPanZoom {
     // Event while mouse moving
     const setPositionEvent = (ev) => {
       if (this.blockPan == true) {
+        this.velocityX = 0;
+        this.velocityY = 0;
         return;
       }
 
@@ -147,6 +701,27 @@ export default class domPanZoom {
         event = ev.touches[0];
       }
 
+      // Start the drag once the pointer moved far enough
+      // The movement so far is added, so the panZoomElement stays under the pointer
+      if (!this.dragged) {
+        if (
+          Math.hypot(
+            event.pageX - this.dragStart.pageX,
+            event.pageY - this.dragStart.pageY
+          ) < this.options.dragThreshold
+        ) {
+          return;
+        }
+
+        this.dragged = true;
+        this.previousEvent = this.dragStart;
+      }
+
+      // Keep the browser from scrolling while dragging with a finger
+      if (ev.touches && ev.cancelable) {
+        ev.preventDefault();
+      }
+
       let movementX = 0;
       let movementY = 0;
 
@@ -155,59 +730,192 @@ export default class domPanZoom {
         movementY = event.pageY - this.previousEvent.pageY;
       }
 
-      this.x += movementX;
-      this.y += movementY;
-      this.setPosition(true);
+      // Lock the direction of the drag to the axis it starts moving along
+      if (!this.dragAxis && (movementX || movementY)) {
+        this.dragAxis = Math.abs(movementX) >= Math.abs(movementY) ? 'x' : 'y';
+      }
+
+      // Pan only along the locked axis
+      const lockAxis = this.getLockAxis(true);
+      lockAxis == 'x' && (movementY = 0);
+      lockAxis == 'y' && (movementX = 0);
 
-      this.previousEvent = event;
+      this.withSource('drag', () => {
+        this.startGesture('pan');
+        this.x += movementX;
+        this.y += movementY;
+        this.setPosition(true);
 
-      // Trigger event
-      this.fireEvent('onPan', this.getPosition());
+        // Trigger event
+        this.fireEvent('onPan', this.getPosition());
+      });
+
+      // Track velocity for inertia, smoothed to even out irregular events
+      const now = performance.now();
+      if (this.previousEvent && this.lastMoveTime) {
+        const elapsed = now - this.lastMoveTime;
+        if (elapsed > 0) {
+          this.velocityX = (movementX / elapsed) * 0.8 + this.velocityX * 0.2;
+          this.velocityY = (movementY / elapsed) * 0.8 + this.velocityY * 0.2;
+        }
+      }
+      this.lastMoveTime = now;
+
+      this.previousEvent = event;
     };
 
     // Mouse down or touchstart event
     const mouseDownTouchStartEvent = (ev) => {
-      ev.preventDefault();
+      // Ignore the event if disabled or if a plugin ignores it
+      if (
+        !this.enabledInputs.drag ||
+        this.isExcludedElement(ev.target) ||
+        this.callPlugins('gesture', 'drag', ev) === false
+      ) {
+        return;
+      }
+
+      // Let one finger scroll the page
+      if (this.options.preferPageScroll && ev.touches) {
+        if (ev.touches.length < 2) {
+          return;
+        }
+        this.hidePageScrollHint();
+      }
+
+      // Prevent text selection, touches are prevented once they drag
+      if (!ev.touches) {
+        ev.preventDefault();
+      }
+
+      // Focus the wrapper for keyboard support, the prevented event doesn't
+      if (this.enabledInputs.keyboard) {
+        this.getWrapper().focus({ preventScroll: true });
+      }
+
+      this.stopAnimation(true);
+      this.stopInertia();
+      this.dragStart = ev.touches ? ev.touches[0] : ev;
+      this.velocityX = 0;
+      this.velocityY = 0;
+      this.lastMoveTime = null;
+      this.dragAxis = null;
+      this.dragged = false;
+      this.isDragging = true;
       document.body.style.cursor = 'grabbing';
       this.getWrapper().style.cursor = 'grabbing';
-      document.addEventListener('mousemove', setPositionEvent, {
+      this.addEvent(document, 'mousemove', setPositionEvent, {
         passive: true
       });
-      document.addEventListener('touchmove', setPositionEvent, {
-        passive: true
+      this.addEvent(document, 'touchmove', setPositionEvent, {
+        passive: false
       });
     };
 
-    this.getWrapper().addEventListener('mousedown', mouseDownTouchStartEvent, {
+    this.addEvent(this.getWrapper(), 'mousedown', mouseDownTouchStartEvent, {
       passive: false
     });
 
-    this.getWrapper().addEventListener('touchstart', mouseDownTouchStartEvent, {
+    this.addEvent(this.getWrapper(), 'touchstart', mouseDownTouchStartEvent, {
       passive: false
     });
 
     const mouseUpTouchEndEvent = () => {
+      // Only react to the end of a drag started within this instance
+      if (!this.isDragging) {
+        return;
+      }
+
+      this.isDragging = false;
       this.previousEvent = null;
       document.body.style.cursor = null;
       this.getWrapper().style.cursor = 'grab';
-      document.removeEventListener('mousemove', setPositionEvent, {
+      this.removeEvent(document, 'mousemove', setPositionEvent, {
         passive: true
       });
-      document.removeEventListener('touchmove', setPositionEvent, {
-        passive: true
+      this.removeEvent(document, 'touchmove', setPositionEvent, {
+        passive: false
+      });
+
+      // Abort if the pointer didn't move far enough to drag
+      if (!this.dragged) {
+        return;
+      }
+
+      // Forget the drag after the click it causes, which may not follow
+      clearTimeout(this.dragTimeout);
+      this.dragTimeout = setTimeout(() => {
+        this.dragged = false;
       });
+
+      // Spring back when released beyond the bounds
+      if (this.options.elastic && this.isOverscrolled()) {
+        this.endGesture('pan');
+        this.springBack();
+        return;
+      }
+
+      // Settle on the nearest snap point instead of gliding
+      if (this.options.snapPoints) {
+        this.endGesture('pan');
+        this.snapPan();
+        return;
+      }
+
+      // Glide only if the pointer was still moving when released
+      if (
+        this.options.inertia &&
+        this.lastMoveTime &&
+        performance.now() - this.lastMoveTime < 100
+      ) {
+        this.startInertia();
+      } else {
+        this.endGesture('pan');
+      }
     };
 
-    document.addEventListener('mouseup', mouseUpTouchEndEvent, {
+    this.addEvent(document, 'mouseup', mouseUpTouchEndEvent, {
       passive: true
     });
-    document.addEventListener('touchend', mouseUpTouchEndEvent, {
+    this.addEvent(document, 'touchend', mouseUpTouchEndEvent, {
       passive: true
     });
 
+    // Suppress the click at the end of a drag, e.g. on links
+    const clickEvent = (ev) => {
+      if (this.dragged) {
+        this.dragged = false;
+        ev.preventDefault();
+        ev.stopPropagation();
+      }
+    };
+
+    this.addEvent(this.getWrapper(), 'click', clickEvent, {
+      capture: true
+    });
+
     // Mouse wheel events
     const mouseWheelEvent = (ev) => {
+      // Ignore the event if disabled or if a plugin ignores it
+      if (
+        !this.enabledInputs.wheel ||
+        this.callPlugins('gesture', 'wheel', ev) === false
+      ) {
+        return;
+      }
+
+      // Scroll the page unless the ctrl or cmd key is pressed
+      if (this.options.preferPageScroll) {
+        if (!ev.ctrlKey && !ev.metaKey) {
+          this.showPageScrollHint(this.isMac() ? 'mac' : 'other');
+          return;
+        }
+        this.hidePageScrollHint();
+      }
+
       ev.preventDefault();
+      this.stopAnimation(true);
+      this.stopInertia();
 
       // Delta
       let delta = ev.deltaY;
@@ -221,45 +929,231 @@ export default class domPanZoom {
       // Adjust speed (https://github.com/anvaka/panzoom/blob/master/index.js#L884)
       const sign = Math.sign(delta);
       const deltaAdjustedSpeed = 1 - sign * Math.min(0.25, Math.abs((speed * delta) / 128));
-      const nextZoom = this.sanitizeZoom(this.zoom * deltaAdjustedSpeed);
-
-      // Get offset to center, then adjust
-      const offsetToCenter = this.getEventOffsetToCenter(ev);
-      this.adjustPositionByZoom(nextZoom, offsetToCenter.x, offsetToCenter.y);
 
-      // Update position
-      this.zoom = nextZoom;
-      this.setPosition(true);
+      this.withSource('wheel', () => {
+        this.startGesture('zoom');
+        this.zoomAtEvent(this.zoom * deltaAdjustedSpeed, ev, true);
+      });
 
-      // Trigger event
-      this.fireEvent('onZoom', this.getPosition());
+      // End zooming once the wheel stops
+      clearTimeout(this.wheelTimeout);
+      this.wheelTimeout = setTimeout(() => {
+        this.endGesture('zoom');
+        this.options.zoomLevels && this.snapZoom(ev);
+      }, 200);
     };
 
-    this.getWrapper().addEventListener('wheel', mouseWheelEvent, {
+    this.addEvent(this.getWrapper(), 'wheel', mouseWheelEvent, {
       passive: false
     });
 
-    // Pinch events
-    const pointerDownEvent = (ev) => {
-      this.evCache.push(ev);
-      this.zoomCache = this.zoom;
-      this.xCache = this.x;
-      this.yCache = this.y;
-
+    // Double click and double tap events
+    const tapStartEvent = (ev) => {
+      // Ignore the event if disabled or if a plugin ignores it
+      if (
+        !this.enabledInputs.doubleTap ||
+        this.isExcludedElement(ev.target) ||
+        this.callPlugins('gesture', 'doubletap', ev) === false
+      ) {
+        return;
+      }
+
+      if (ev.touches) {
+        this.lastTouchTime = performance.now();
+
+        // Multiple fingers are no tap
+        if (ev.touches.length > 1) {
+          this.tapStart = null;
+          return;
+        }
+      } else if (ev.button !== 0 || this.isEmulatedMouseEvent()) {
+        return;
+      }
+
+      const point = ev.touches ? ev.touches[0] : ev;
+
+      this.tapStart = {
+        clientX: point.clientX,
+        clientY: point.clientY,
+        time: performance.now()
+      };
+    };
+
+    const tapEndEvent = (ev) => {
+      const tapStart = this.tapStart;
+      this.tapStart = null;
+
+      if (ev.changedTouches) {
+        this.lastTouchTime = performance.now();
+      } else if (this.isEmulatedMouseEvent()) {
+        return;
+      }
+
+      if (!tapStart) {
+        return;
+      }
+
+      const point = ev.changedTouches ? ev.changedTouches[0] : ev;
+      const now = performance.now();
+
+      // Ignore drags and long presses
+      if (
+        Math.hypot(
+          point.clientX - tapStart.clientX,
+          point.clientY - tapStart.clientY
+        ) > 10 ||
+        now - tapStart.time > this.options.doubleTapDelay
+      ) {
+        this.lastTap = null;
+        return;
+      }
+
+      const lastTap = this.lastTap;
+
+      // Wait for a second tap close to the first one
+      if (
+        !lastTap ||
+        now - lastTap.time > this.options.doubleTapDelay ||
+        Math.hypot(
+          point.clientX - lastTap.clientX,
+          point.clientY - lastTap.clientY
+        ) > 30
+      ) {
+        this.lastTap = {
+          clientX: point.clientX,
+          clientY: point.clientY,
+          time: now
+        };
+        return;
+      }
+
+      this.lastTap = null;
+
+      const focalPoint = {
+        target: ev.target,
+        clientX: point.clientX,
+        clientY: point.clientY
+      };
+
+      this.withSource('doubletap', () => {
+        // Zoom out
+        if (ev.shiftKey || this.zoom >= this.options.maxZoom) {
+          if (this.options.doubleTapZoomOut == 'reset') {
+            this.reset();
+          } else {
+            this.zoomAtEvent(this.getNextZoom('out'), focalPoint);
+          }
+          return;
+        }
+
+        // Zoom in
+        this.zoomAtEvent(this.getNextZoom('in'), focalPoint);
+      });
+    };
+
+    ['mousedown', 'touchstart'].forEach((event) => {
+      this.addEvent(this.getWrapper(), event, tapStartEvent, {
+        passive: true
+      });
+    });
+    ['mouseup', 'touchend'].forEach((event) => {
+      this.addEvent(this.getWrapper(), event, tapEndEvent, {
+        passive: true
+      });
+    });
+
+    // Keyboard events
+    const keyDownEvent = (ev) => {
+      // Ignore the event if disabled or if a plugin ignores it
+      if (
+        !this.enabledInputs.keyboard ||
+        this.callPlugins('gesture', 'keyboard', ev) === false
+      ) {
+        return;
+      }
+
+      // Ignore shortcuts and events from form fields
+      if (
+        ev.ctrlKey ||
+        ev.metaKey ||
+        ev.altKey ||
+        ev.target.isContentEditable ||
+        /^(INPUT|TEXTAREA|SELECT)$/.test(ev.target.tagName)
+      ) {
+        return;
+      }
+
+      const action = this.options.keyboardKeys[ev.key];
+
+      if (typeof action === 'function') {
+        this.withSource('keyboard', () => action.bind(this)(ev));
+      } else if (typeof this[action] === 'function') {
+        this.withSource('keyboard', () => this[action]());
+      } else {
+        return;
+      }
+
+      ev.preventDefault();
+    };
+
+    this.addEvent(this.getWrapper(), 'keydown', keyDownEvent, {
+      passive: false
+    });
+
+    // Show a hint when scrolling the page with one finger
+    const touchMoveEvent = (ev) => {
+      if (this.options.preferPageScroll && ev.touches.length == 1) {
+        this.showPageScrollHint('touch');
+      }
+    };
+
+    this.addEvent(this.getWrapper(), 'touchmove', touchMoveEvent, {
+      passive: true
+    });
+
+    // Pinch events
+    const pointerDownEvent = (ev) => {
+      // Ignore the event if disabled or if a plugin ignores it
+      if (
+        !this.enabledInputs.pinch ||
+        this.callPlugins('gesture', 'pinch', ev) === false
+      ) {
+        return;
+      }
+
+      this.stopAnimation(true);
+      this.stopInertia();
+      this.evCache.push(ev);
+      this.zoomCache = this.zoom;
+      this.xCache = this.x;
+      this.yCache = this.y;
+
       if (this.evCache.length == 2) {
         this.blockPan = true;
+        this.startGesture('zoom', 'pinch');
+        this.startGesture('pan', 'pinch');
+        this.rotationCache = this.rotation;
         this.pinchDiffCache = this.getTouchEventsDistance(
           this.evCache[0],
           this.evCache[1]
         );
+        this.pinchAngleCache = this.getTouchEventsAngle(
+          this.evCache[0],
+          this.evCache[1]
+        );
         this.touchEventsCenterCache = this.getTouchEventsCenter(
           this.evCache[0],
           this.evCache[1]
         );
+        this.pinchOffsetCache = this.getEventOffsetToCenter({
+          target: this.evCache[0].target,
+          clientX: this.touchEventsCenterCache.clientX,
+          clientY: this.touchEventsCenterCache.clientY
+        });
       }
     };
 
-    this.getWrapper().addEventListener('pointerdown', pointerDownEvent, {
+    this.addEvent(this.getWrapper(), 'pointerdown', pointerDownEvent, {
       passive: false
     });
 
@@ -280,43 +1174,79 @@ export default class domPanZoom {
         );
         pinchDiff -= this.pinchDiffCache;
 
-        let pinchDiffPercent = pinchDiff / this.getContainer().clientWidth;
+        let pinchDiffPercent = pinchDiff / this.getContentSize().width;
         pinchDiffPercent *= this.options.zoomSpeedPinch;
         pinchDiffPercent += 1;
 
-        const nextZoom = this.sanitizeZoom(this.zoomCache * pinchDiffPercent);
+        // Calculate rotation between fingers
+        if (this.options.pinchRotate) {
+          let pinchAngle = this.getTouchEventsAngle(
+            this.evCache[0],
+            this.evCache[1]
+          );
+          pinchAngle -= this.pinchAngleCache;
+          pinchAngle = ((((pinchAngle + 180) % 360) + 360) % 360) - 180;
+
+          this.rotation = this.rotationCache + pinchAngle;
+          this.updateMinZoom();
+        }
+
+        // Zoom beyond the zoom limits with resistance
+        const nextZoom = this.options.elastic
+          ? this.getElasticZoom(this.zoomCache * pinchDiffPercent)
+          : this.sanitizeZoom(this.zoomCache * pinchDiffPercent);
+
+        // Scale and rotate the offset from the touch center to the container center
+        const offset = this.rotatePoint(
+          (this.pinchOffsetCache.x * nextZoom) / this.zoomCache,
+          (this.pinchOffsetCache.y * nextZoom) / this.zoomCache,
+          this.rotation - this.rotationCache
+        );
 
-        // Get offset to center, then adjust
+        // Adjust position when moving while pinching
         const touchEventsCenter = this.getTouchEventsCenter(
           this.evCache[0],
           this.evCache[1]
         );
-        const offsetToCenter = this.getEventOffsetToCenter({
+        this.pinchFocalPoint = {
           target: this.evCache[0].target,
           clientX: touchEventsCenter.clientX,
           clientY: touchEventsCenter.clientY
-        });
-        this.adjustPositionByZoom(nextZoom, offsetToCenter.x, offsetToCenter.y);
-
-        // Adjust position when moving while pinching
+        };
         const touchEventsCenterDiff = {
           x: touchEventsCenter.clientX - this.touchEventsCenterCache.clientX,
           y: touchEventsCenter.clientY - this.touchEventsCenterCache.clientY
         };
-        this.x = this.xCache + touchEventsCenterDiff.x;
-        this.y = this.yCache + touchEventsCenterDiff.y;
+        this.x =
+          this.xCache +
+          touchEventsCenterDiff.x +
+          offset.x -
+          this.pinchOffsetCache.x;
+        this.y =
+          this.yCache +
+          touchEventsCenterDiff.y +
+          offset.y -
+          this.pinchOffsetCache.y;
+
+        // Pan only along the locked axis
+        const lockAxis = this.getLockAxis();
+        lockAxis == 'x' && (this.y = this.yCache);
+        lockAxis == 'y' && (this.x = this.xCache);
 
         // Update position
         this.zoom = nextZoom;
-        this.setPosition(true);
 
-        // Trigger events
-        this.fireEvent('onZoom', this.getPosition());
-        this.fireEvent('onPan', this.getPosition());
+        this.withSource('pinch', () => {
+          this.setPosition(true);
+
+          // Trigger events
+          this.fireEvent('onZoom', this.getPosition());
+          this.fireEvent('onPan', this.getPosition());
+        });
       }
     };
 
-    this.getWrapper().addEventListener('pointermove', pointerMoveEvent, {
+    this.addEvent(this.getWrapper(), 'pointermove', pointerMoveEvent, {
       passive: false
     });
 
@@ -328,310 +1258,1504 @@ export default class domPanZoom {
         }
       }
 
-      if (this.evCache.length < 2) {
+      if (this.evCache.length < 2 && this.blockPan) {
         this.blockPan = false;
+        this.endGesture('zoom');
+        this.endGesture('pan');
+
+        // Spring back when released beyond the zoom limits or bounds
+        if (this.options.elastic && this.isOverscrolled()) {
+          this.springBack(this.pinchFocalPoint);
+        } else if (this.options.zoomLevels) {
+          this.snapZoom(this.pinchFocalPoint);
+        }
       }
     };
 
     ['pointerup', 'pointercancel', 'pointerout', 'pointerleave'].forEach(
       (event) => {
-        this.getWrapper().addEventListener(event, pointerUpEvent, {
+        this.addEvent(this.getWrapper(), event, pointerUpEvent, {
           passive: false
         });
       }
     );
   }
 
-  // https://stackoverflow.com/questions/8389156/what-substitute-should-we-use-for-layerx-layery-since-they-are-deprecated-in-web
-  getEventOffsetToParent(ev) {
-    let el = ev.target;
-    let x = 0;
-    let y = 0;
+  // Check if an element is excluded from dragging with the option excludeSelector or the attribute data-dom-pan-zoom-exclude
+  isExcludedElement(element) {
+    const selector = this.options.excludeSelector
+      ? '[data-dom-pan-zoom-exclude], ' + this.options.excludeSelector
+      : '[data-dom-pan-zoom-exclude]';
+    const excluded =
+      element instanceof Element ? element.closest(selector) : null;
+
+    return !!excluded && this.getWrapper().contains(excluded);
+  }
+
+  // Check if a mouse event was emulated by the browser after a touch event
+  isEmulatedMouseEvent() {
+    return this.lastTouchTime && performance.now() - this.lastTouchTime < 500;
+  }
+
+  // Keep panning with the current velocity and slow down with friction
+  startInertia() {
+    this.stopInertia();
+
+    let lastTime = performance.now();
+
+    const step = (time) => {
+      const elapsed = Math.max(time - lastTime, 0);
+      lastTime = time;
+
+      // Apply friction relative to a 16ms frame
+      const friction = Math.pow(this.options.inertiaFriction, elapsed / 16);
+      this.velocityX *= friction;
+      this.velocityY *= friction;
+
+      // Stop when too slow
+      const velocity = Math.hypot(this.velocityX, this.velocityY);
+      if (velocity < this.options.inertiaMinVelocity) {
+        this.stopInertia();
+        return;
+      }
+
+      const x = this.x + this.velocityX * elapsed;
+      const y = this.y + this.velocityY * elapsed;
+
+      this.x = x;
+      this.y = y;
+
+      this.withSource('inertia', () => {
+        this.setPosition(true);
+
+        // Trigger event
+        this.fireEvent('onPan', this.getPosition());
+      });
+
+      // Stop gliding along an axis once it reaches the bounds
+      this.x != x && (this.velocityX = 0);
+      this.y != y && (this.velocityY = 0);
+
+      this.inertiaFrame = requestAnimationFrame(step);
+    };
+
+    this.inertiaFrame = requestAnimationFrame(step);
+  }
+
+  // Get the axis to pan along, or null to pan freely
+  // With the option lockAxis 'auto' only drags are locked
+  getLockAxis(drag) {
+    if (this.options.lockAxis == 'auto') {
+      return drag ? this.dragAxis : null;
+    }
+
+    return this.options.lockAxis || null;
+  }
+
+  // Stop the inertia glide
+  stopInertia() {
+    if (this.inertiaFrame) {
+      cancelAnimationFrame(this.inertiaFrame);
+      this.inertiaFrame = null;
+      this.endGesture('pan');
+    }
+  }
+
+  // Check if the platform is a mac
+  isMac() {
+    return /Mac|iPhone|iPad|iPod/.test(
+      navigator.platform || navigator.userAgent
+    );
+  }
+
+  // Show the preferPageScroll overlay
+  showPageScrollHint(type) {
+    const text = this.options.preferPageScrollText[type];
+
+    if (!text) {
+      return;
+    }
+
+    // Create overlay
+    if (!this.hintElement) {
+      const wrapper = this.getWrapper();
+      const hint = document.createElement('div');
+
+      // Position the overlay relative to the wrapper
+      if (getComputedStyle(wrapper).position == 'static') {
+        wrapper.style.position = 'relative';
+      }
+
+      hint.setAttribute('aria-hidden', 'true');
+      Object.assign(hint.style, {
+        position: 'absolute',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        left: 0,
+        zIndex: 1,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        textAlign: 'center',
+        pointerEvents: 'none',
+        opacity: 0,
+        transition: 'opacity 300ms'
+      });
+
+      if (this.options.preferPageScrollClass) {
+        hint.className = this.options.preferPageScrollClass;
+      } else {
+        Object.assign(hint.style, {
+          padding: '16px',
+          background: 'rgba(0, 0, 0, 0.5)',
+          color: '#fff',
+          fontSize: '20px'
+        });
+      }
+
+      wrapper.appendChild(hint);
+      this.hintElement = hint;
+    }
+
+    this.hintElement.textContent = text;
+    this.hintElement.style.opacity = 1;
+
+    // Hide after a delay
+    clearTimeout(this.hintTimeout);
+    this.hintTimeout = setTimeout(
+      () => this.hidePageScrollHint(),
+      this.options.preferPageScrollDuration
+    );
+  }
+
+  // Hide the preferPageScroll overlay
+  hidePageScrollHint() {
+    clearTimeout(this.hintTimeout);
+    this.hintElement && (this.hintElement.style.opacity = 0);
+  }
+
+  // Get the client position of the untransformed container
+  getContainerOrigin() {
+    const wrapper = this.getWrapper();
+    const container = this.getContainer();
+    const rect = wrapper.getBoundingClientRect();
+
+    let x = rect.left + wrapper.clientLeft - wrapper.scrollLeft;
+    let y = rect.top + wrapper.clientTop - wrapper.scrollTop;
+
+    // SVG elements and content without an element are transformed relative to the wrapper
+    if (this.isSvg || !container) {
+      return { x: x + wrapper.scrollLeft, y: y + wrapper.scrollTop };
+    }
+
+    // Add the offset of the container within the wrapper
+    if (container.offsetParent === wrapper) {
+      x += container.offsetLeft;
+      y += container.offsetTop;
+    } else {
+      x += container.offsetLeft - wrapper.offsetLeft - wrapper.clientLeft;
+      y += container.offsetTop - wrapper.offsetTop - wrapper.clientTop;
+    }
+
+    return { x: x, y: y };
+  }
+
+  // Get the event offset to the center
+  getEventOffsetToCenter(ev) {
+    const wrapper = this.getWrapper();
+    const contentSize = this.getContentSize();
+    const centerX = contentSize.width * 0.5 + this.x;
+    const centerY = contentSize.height * 0.5 + this.y;
+
+    // Use the center of the wrapper without an event
+    let pointX = wrapper.clientWidth * 0.5;
+    let pointY = wrapper.clientHeight * 0.5;
+
+    if (ev) {
+      const origin = this.getContainerOrigin();
+      pointX = ev.clientX - origin.x;
+      pointY = ev.clientY - origin.y;
+    }
+
+    return {
+      x: centerX - pointX,
+      y: centerY - pointY
+    };
+  }
+
+  // Convert a client position to an unzoomed position within the container
+  clientToContent(point) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
+    const contentSize = this.getContentSize();
+    const origin = this.getContainerOrigin();
+    const centerX = contentSize.width * 0.5;
+    const centerY = contentSize.height * 0.5;
+    const clientX = point.clientX != null ? point.clientX : point.x;
+    const clientY = point.clientY != null ? point.clientY : point.y;
+
+    const offset = this.rotatePoint(
+      (clientX - origin.x - centerX - this.x) / this.zoom,
+      (clientY - origin.y - centerY - this.y) / this.zoom,
+      this.rotation * -1
+    );
+
+    return {
+      x: centerX + offset.x,
+      y: centerY + offset.y
+    };
+  }
+
+  // Convert an unzoomed position within the container to a client position
+  contentToClient(point) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
+    const contentSize = this.getContentSize();
+    const origin = this.getContainerOrigin();
+    const centerX = contentSize.width * 0.5;
+    const centerY = contentSize.height * 0.5;
+
+    const offset = this.rotatePoint(
+      (point.x - centerX) * this.zoom,
+      (point.y - centerY) * this.zoom,
+      this.rotation
+    );
+
+    return {
+      x: origin.x + centerX + this.x + offset.x,
+      y: origin.y + centerY + this.y + offset.y
+    };
+  }
+
+  // Get the unzoomed rectangle of the container which is visible in the wrapper
+  getVisibleContentRect() {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
+    const wrapper = this.getWrapper();
+    const contentSize = this.getContentSize();
+    const rect = wrapper.getBoundingClientRect();
+    const left = rect.left + wrapper.clientLeft;
+    const top = rect.top + wrapper.clientTop;
+    const right = left + wrapper.clientWidth;
+    const bottom = top + wrapper.clientHeight;
+
+    // Convert the corners of the wrapper
+    const points = [
+      this.clientToContent({ x: left, y: top }),
+      this.clientToContent({ x: right, y: top }),
+      this.clientToContent({ x: right, y: bottom }),
+      this.clientToContent({ x: left, y: bottom })
+    ];
+    const xValues = points.map((point) => point.x);
+    const yValues = points.map((point) => point.y);
+
+    // Limit to the container
+    const x = Math.max(Math.min(...xValues), 0);
+    const y = Math.max(Math.min(...yValues), 0);
+    const width = Math.min(Math.max(...xValues), contentSize.width) - x;
+    const height = Math.min(Math.max(...yValues), contentSize.height) - y;
+
+    return {
+      x: x,
+      y: y,
+      width: Math.max(width, 0),
+      height: Math.max(height, 0)
+    };
+  }
+
+  // Get the distance between two touch events
+  getTouchEventsDistance(ev1, ev2) {
+    return Viewport.getDistance(ev1, ev2);
+  }
+
+  // Get the angle between two touch events in degrees
+  getTouchEventsAngle(ev1, ev2) {
+    return Viewport.getAngle(ev1, ev2);
+  }
+
+  // Get the center point between two touch events
+  getTouchEventsCenter(ev1, ev2) {
+    return Viewport.getCenter(ev1, ev2);
+  }
+
+  // Get current position values
+  getPosition() {
+    return {
+      zoom: this.zoom,
+      rotation: this.rotation,
+      x: this.x,
+      y: this.y
+    };
+  }
+
+  // Initialize
+  setPosition(instant, getPath) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    // Let handlers change or veto the proposed position
+    const proposal = this.getPosition();
+    proposal.preventDefault = () => (proposal.defaultPrevented = true);
+
+    if (
+      (this.fireEvent('onBeforeChange', proposal) === false ||
+        proposal.defaultPrevented) &&
+      this.lastPosition
+    ) {
+      Object.assign(this, this.lastPosition);
+      return this;
+    }
+
+    // Elastic gestures can go beyond the zoom limits and bounds
+    const elastic =
+      this.options.elastic && (this.source == 'drag' || this.source == 'pinch');
+
+    this.zoom = elastic
+      ? proposal.zoom
+      : Math.min(
+          Math.max(proposal.zoom, this.options.minZoom),
+          this.options.maxZoom
+        );
+    this.rotation = proposal.rotation;
+    this.x = proposal.x;
+    this.y = proposal.y;
+
+    const animated = !instant && this.options.transitionSpeed > 0;
+
+    // Fit to bounds, plugins can adjust the position before and after
+    let position = this.getPosition();
+    this.callPlugins('beforeClamp', position);
+    if (!elastic) {
+      position = this.clampPosition(position);
+    }
+    this.callPlugins('afterClamp', position);
+    Object.assign(this, position);
+
+    // Announce zoom changes
+    if (this.liveRegionElement && this.zoom != this.announcedZoom) {
+      this.announcedZoom = this.zoom;
+
+      // Wait for the zoom to settle to avoid flooding screen readers
+      clearTimeout(this.announceTimeout);
+      this.announceTimeout = setTimeout(() => {
+        this.liveRegionElement.textContent =
+          this.options.announceZoomText.replace(
+            '{zoom}',
+            Math.round(this.zoom * 100)
+          );
+      }, 500);
+    }
+
+    // Fire start and end events for changes which are no gestures
+    const source = this.source || 'api';
+    const lastPosition = this.lastPosition;
+    this.lastPosition = {
+      zoom: this.zoom,
+      rotation: this.rotation,
+      x: this.x,
+      y: this.y
+    };
+
+    if (this.initialized && !this.isGestureSource(source)) {
+      if (this.zoom != lastPosition.zoom) {
+        this.startGesture('zoom');
+      } else if (this.x != lastPosition.x || this.y != lastPosition.y) {
+        this.startGesture('pan');
+      }
+
+      // Animations end the changes once finished
+      if (!animated) {
+        // Wait for the events of the calling method
+        Promise.resolve().then(() => this.endTransition(false));
+      }
+    }
+
+    // Update the URL once the changes settle
+    if (this.options.syncUrl && this.initialized) {
+      clearTimeout(this.syncUrlTimeout);
+      this.syncUrlTimeout = setTimeout(
+        () => this.writeUrlState(),
+        this.options.syncUrlDelay
+      );
+    }
+
+    // Set position
+    if (animated) {
+      this.animate(this.getPosition(), getPath);
+    } else {
+      // Render elastic gestures beyond the bounds with resistance
+      const frame = elastic
+        ? this.getElasticPosition(this.getPosition())
+        : this.getPosition();
+
+      this.stopAnimation();
+      this.render(frame);
+
+      // Instant changes are finished right away
+      this.finished = Promise.resolve(true);
+
+      // Trigger event
+      this.fireEvent('onChange', Object.assign({}, frame));
+    }
+
+    // Return instance
+    return this;
+  }
+
+  // Limit the x and y values of a position to the bounds
+  clampPosition(position) {
+    return Object.assign(position, this.getViewport().clamp(position));
+  }
+
+  // Get the damped distance for a distance beyond the bounds
+  getElasticOffset(distance, size) {
+    const resistance = this.options.elasticResistance;
+
+    return (
+      Math.sign(distance) *
+      size *
+      (1 - 1 / ((Math.abs(distance) * resistance) / size + 1))
+    );
+  }
+
+  // Get a position which goes beyond the bounds with resistance
+  getElasticPosition(position) {
+    const wrapper = this.getWrapper();
+    const clamped = this.clampPosition(Object.assign({}, position));
+
+    return Object.assign({}, position, {
+      x:
+        clamped.x +
+        this.getElasticOffset(position.x - clamped.x, wrapper.clientWidth),
+      y:
+        clamped.y +
+        this.getElasticOffset(position.y - clamped.y, wrapper.clientHeight)
+    });
+  }
+
+  // Get a zoom which goes beyond minZoom and maxZoom with resistance
+  getElasticZoom(zoom) {
+    const limit = Math.min(
+      Math.max(zoom, this.options.minZoom),
+      this.options.maxZoom
+    );
+
+    return limit * Math.exp(this.getElasticOffset(Math.log(zoom / limit), 1));
+  }
+
+  // Check if the position is beyond the zoom limits or bounds
+  isOverscrolled() {
+    const position = this.getPosition();
+    const clamped = this.clampPosition(Object.assign({}, position));
+
+    return (
+      position.zoom < this.options.minZoom ||
+      position.zoom > this.options.maxZoom ||
+      clamped.x != position.x ||
+      clamped.y != position.y
+    );
+  }
+
+  // Spring back to the nearest valid position after an elastic gesture
+  // Pass an event or point to zoom back at its location
+  springBack(ev) {
+    const zoom = Math.min(
+      Math.max(this.zoom, this.options.minZoom),
+      this.options.maxZoom
+    );
+
+    if (ev && zoom != this.zoom) {
+      const offsetToCenter = this.getEventOffsetToCenter(ev);
+      this.adjustPositionByZoom(zoom, offsetToCenter.x, offsetToCenter.y);
+    }
+
+    this.zoom = zoom;
+
+    this.withSource('elastic', () => {
+      this.setPosition(false, this.getSpringPath);
+    });
+  }
+
+  // Render a position
+  render(position) {
+    this.renderPosition = position;
+
+    // Plugins can replace the rendering
+    if (this.callPlugins('render', position) === false) {
+      return;
+    }
+
+    // Use the custom renderer, e.g. to draw on a canvas
+    if (this.options.render) {
+      this.options.render.call(
+        this,
+        Object.assign({}, position),
+        this.getMatrix(position)
+      );
+      return;
+    }
+
+    // Content without an element can't be rendered
+    const container = this.getContainer();
+    if (!container) {
+      return;
+    }
+
+    if (this.isSvg) {
+      container.setAttribute('transform', this.getSvgTransform(position));
+      return;
+    }
+
+    container.style.transform =
+      'translate(' +
+      position.x +
+      'px, ' +
+      position.y +
+      'px) rotate(' +
+      position.rotation +
+      'deg) scale(' +
+      position.zoom +
+      ')';
+  }
+
+  // Get the matrix [a, b, c, d, e, f] of a position relative to the wrapper
+  // It maps unzoomed content pixels to wrapper pixels, e.g. for the canvas method setTransform
+  getMatrix(position = this.renderPosition) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
+    const contentSize = this.getContentSize();
+    const centerX = contentSize.width * 0.5;
+    const centerY = contentSize.height * 0.5;
+    const angle = (position.rotation * Math.PI) / 180;
+    const a = position.zoom * Math.cos(angle);
+    const b = position.zoom * Math.sin(angle);
+
+    return [
+      a,
+      b,
+      b * -1,
+      a,
+      centerX + position.x - a * centerX + b * centerY,
+      centerY + position.y - b * centerX - a * centerY
+    ];
+  }
+
+  // Get the SVG transform attribute of a position
+  // The container is moved to the top left corner of the wrapper like other elements
+  getSvgTransform(position) {
+    const box = this.svgBox;
+    const centerX = box.x + box.width * 0.5;
+    const centerY = box.y + box.height * 0.5;
+
+    return (
+      'translate(' +
+      (box.originX + box.width * 0.5 + position.x / box.scale) +
+      ' ' +
+      (box.originY + box.height * 0.5 + position.y / box.scale) +
+      ') rotate(' +
+      position.rotation +
+      ') scale(' +
+      position.zoom +
+      ') translate(' +
+      centerX * -1 +
+      ' ' +
+      centerY * -1 +
+      ')'
+    );
+  }
+
+  // Measure an SVG container in the user units of its parent
+  updateSvgBox() {
+    const wrapper = this.getWrapper();
+    const container = this.getContainer();
+    const bBox = container.getBBox();
+    const matrix = container.parentNode.getScreenCTM();
+    const rect = wrapper.getBoundingClientRect();
+
+    // Get the user units of the top left corner of the wrapper
+    const origin = container.ownerSVGElement.createSVGPoint();
+    origin.x = rect.left + wrapper.clientLeft;
+    origin.y = rect.top + wrapper.clientTop;
+    const userOrigin = origin.matrixTransform(matrix.inverse());
+
+    this.svgBox = {
+      x: bBox.x,
+      y: bBox.y,
+      width: bBox.width,
+      height: bBox.height,
+      scale: Math.hypot(matrix.a, matrix.b),
+      originX: userOrigin.x,
+      originY: userOrigin.y
+    };
+  }
+
+  // Animate from the rendered position to a position
+  // Pass a function to get a custom path between the rendered position and the position
+  animate(position, getPath = this.getLinearPath) {
+    const from = this.renderPosition;
+    const path = getPath.bind(this)(from, position);
+    const duration = path.duration;
+    const source = this.source || 'api';
+    const easing =
+      path.easing ||
+      (typeof this.options.easing === 'function'
+        ? this.options.easing
+        : easings[this.options.easing] || easings.linear);
+    let startTime = null;
+
+    this.stopAnimation();
+    this.transitionSource = source;
+    this.finished = new Promise((resolve) => {
+      this.resolveAnimation = resolve;
+    });
+
+    const step = (time) => {
+      startTime = startTime === null ? time : startTime;
+
+      const progress = duration
+        ? Math.min((time - startTime) / duration, 1)
+        : 1;
+      const frame = path.interpolate(easing(progress));
+
+      this.render(frame);
+
+      // Trigger event
+      this.withSource(source, () => {
+        this.fireEvent('onChange', Object.assign({}, frame));
+      });
+
+      if (progress < 1) {
+        this.animationFrame = requestAnimationFrame(step);
+        return;
+      }
+
+      this.animationFrame = null;
+      this.resolveAnimation(true);
+      this.endTransition(true);
+    };
+
+    this.animationFrame = requestAnimationFrame(step);
+  }
+
+  // Get a linear path between two positions
+  getLinearPath(from, to) {
+    return {
+      duration: this.options.transitionSpeed,
+      interpolate: (progress) => {
+        const frame = {};
+        ['zoom', 'rotation', 'x', 'y'].forEach((key) => {
+          frame[key] = from[key] + (to[key] - from[key]) * progress;
+        });
+        return frame;
+      }
+    };
+  }
+
+  // Get a path which springs between two positions
+  getSpringPath(from, to) {
+    const path = this.getLinearPath(from, to);
+    const stiffness = this.options.elasticStiffness;
+    const damping = this.options.elasticDamping;
+
+    // Abort with a linear path if the spring would never settle
+    if (!(stiffness > 0) || !(damping > 0)) {
+      console.error(
+        'The options elasticStiffness and elasticDamping need to be positive numbers.'
+      );
+      return path;
+    }
+
+    // A minimum damping ratio keeps the spring from bouncing for too long
+    const omega = Math.sqrt(stiffness);
+    const zeta = Math.min(Math.max(damping / (2 * omega), 0.1), 1);
+    const omegaDamped = omega * Math.sqrt(1 - zeta * zeta);
+
+    // The spring settles once the amplitude drops below 0.1 percent
+    const duration = Math.log(1000) / (zeta * omega);
+
+    path.duration = duration * 1000;
+    path.easing = (progress) => {
+      if (progress >= 1) {
+        return 1;
+      }
+
+      const t = progress * duration;
+      const decay = Math.exp(-zeta * omega * t);
+
+      // Critically damped
+      if (zeta == 1) {
+        return 1 - decay * (1 + omega * t);
+      }
+
+      return (
+        1 -
+        decay *
+          (Math.cos(omegaDamped * t) +
+            ((zeta * omega) / omegaDamped) * Math.sin(omegaDamped * t))
+      );
+    };
+
+    return path;
+  }
+
+  // Get a path which zooms out, travels and zooms in between two positions
+  // Smooth and efficient zooming and panning, Jarke J. van Wijk and Wim A.A. Nuij
+  getFlyPath(from, to, options = {}) {
+    const wrapper = this.getWrapper();
+    const rho = options.curve || 1.42;
+    const size = Math.max(wrapper.clientWidth, wrapper.clientHeight);
+    const fromPoint = this.getPanPoint(from);
+    const toPoint = this.getPanPoint(to);
+
+    // The visible size at both ends and the distance in unzoomed pixels
+    const w0 = size / from.zoom;
+    const w1 = size / to.zoom;
+    const u1 = Math.hypot(toPoint.x - fromPoint.x, toPoint.y - fromPoint.y);
+
+    let pathLength;
+    let getWidth;
+    let getDistance;
+
+    if (u1 < 0.01) {
+      // Only zoom when the points are the same
+      const direction = w1 < w0 ? -1 : 1;
+      pathLength = Math.abs(Math.log(w1 / w0)) / rho;
+      getWidth = (s) => w0 * Math.exp(direction * rho * s);
+      getDistance = () => 0;
+    } else {
+      const b = (w, sign) =>
+        (w1 * w1 - w0 * w0 + sign * rho * rho * rho * rho * u1 * u1) /
+        (2 * w * rho * rho * u1);
+      const r = (b) => Math.log(Math.sqrt(b * b + 1) - b);
+      const r0 = r(b(w0, 1));
+      const r1 = r(b(w1, -1));
+
+      pathLength = (r1 - r0) / rho;
+      getWidth = (s) => (w0 * Math.cosh(r0)) / Math.cosh(rho * s + r0);
+      getDistance = (s) =>
+        (w0 * (Math.cosh(r0) * Math.tanh(rho * s + r0) - Math.sinh(r0))) /
+        (rho * rho) /
+        u1;
+    }
+
+    // Fall back to a linear path when there is nothing to travel
+    if (!isFinite(pathLength) || pathLength < 0.0001) {
+      return this.getLinearPath(from, to);
+    }
+
+    return {
+      duration:
+        options.duration ||
+        this.options.transitionSpeed * Math.max(pathLength, 1),
+      interpolate: (progress) => {
+        if (progress >= 1) {
+          return Object.assign({}, to);
+        }
+
+        const s = progress * pathLength;
+        const distance = getDistance(s);
+        const zoom = Math.min(
+          Math.max(size / getWidth(s), this.options.minZoom),
+          this.options.maxZoom
+        );
+        const rotation =
+          from.rotation + (to.rotation - from.rotation) * progress;
+        const frame = this.getPanPosition(
+          {
+            x: fromPoint.x + (toPoint.x - fromPoint.x) * distance,
+            y: fromPoint.y + (toPoint.y - fromPoint.y) * distance
+          },
+          zoom,
+          rotation
+        );
+
+        frame.zoom = zoom;
+        frame.rotation = rotation;
+
+        return this.clampPosition(frame);
+      }
+    };
+  }
+
+  // Stop the animation
+  // Pass true to continue from the rendered position, e.g. when a gesture interrupts the animation
+  stopAnimation(keepFrame) {
+    if (!this.animationFrame) {
+      return;
+    }
+
+    cancelAnimationFrame(this.animationFrame);
+    this.animationFrame = null;
+    this.resolveAnimation(false);
+
+    if (keepFrame) {
+      Object.assign(this, this.renderPosition);
+      this.lastPosition = Object.assign({}, this.renderPosition);
+      this.endTransition(false);
+    }
+  }
+
+  // Adjust minZoom and the position to the current sizes
+  resize() {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    // Measure SVG elements again
+    if (this.isSvg) {
+      this.updateSvgBox();
+    }
+
+    const wrapper = this.getWrapper();
+    const contentSize = this.getContentSize();
+    const sizes = this.getViewport().options;
+
+    // Abort if the sizes did not change
+    if (
+      sizes.wrapperWidth == wrapper.clientWidth &&
+      sizes.wrapperHeight == wrapper.clientHeight &&
+      sizes.contentWidth == contentSize.width &&
+      sizes.contentHeight == contentSize.height
+    ) {
+      return this;
+    }
+
+    this.stopInertia();
+
+    // Get the view with the previous sizes of the viewport model
+    const fitZoom = this.getFitZoom('contain');
+    const panX = this.getPanX();
+    const panY = this.getPanY();
+    const isFit = Math.abs(this.zoom - this.sanitizeZoom(fitZoom)) < 0.0001;
+
+    this.updateViewport();
+    this.updateMinZoom();
+
+    this.withSource('resize', () => {
+      if (isFit) {
+        // Fit again when zoomed to 'contain'
+        this.zoom = this.sanitizeZoom('contain');
+        this.center(true);
+      } else {
+        // Keep the zoom relative to the wrapper and the visual center
+        this.zoom = this.sanitizeZoom(
+          (this.zoom * this.getFitZoom('contain')) / fitZoom
+        );
+        this.panTo(panX, panY, true);
+      }
+
+      // Trigger event
+      this.fireEvent('onResize', this.getPosition());
+    });
+
+    // Return instance
+    return this;
+  }
+
+  // Sanitize zoom value
+  sanitizeZoom(zoom) {
+    // Get values for 'cover' and 'contain'
+    if (zoom == 'cover' || zoom == 'contain') {
+      // TODO is first cebter OK?
+      this.center(true, true);
+
+      zoom = this.getFitZoom(zoom);
+    }
+
+    // Adjust for minZoom and maxZoom
+    return this.getViewport().clampZoom(zoom);
+  }
+
+  // Getter for zoom
+  getZoom() {
+    return this.zoom;
+  }
+
+  // Zoom to
+  zoomTo(zoom, instant) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.stopInertia();
+
+    // Sanitize zoom
+    zoom = this.sanitizeZoom(zoom);
+
+    // Get offset to center, then adjust
+    const offsetToCenter = this.getEventOffsetToCenter();
+    this.adjustPositionByZoom(zoom, offsetToCenter.x, offsetToCenter.y);
+
+    // Set new zoom
+    this.zoom = zoom;
+    this.setPosition(instant);
+
+    // Trigger event
+    this.fireEvent('onZoom', this.getPosition());
+
+    // Return instance
+    return this;
+  }
+
+  // Zoom with the event position as focal point
+  zoomAtEvent(zoom, ev, instant) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.stopInertia();
+
+    // Sanitize zoom
+    zoom = this.sanitizeZoom(zoom);
+
+    // Get offset to center, then adjust
+    const offsetToCenter = this.getEventOffsetToCenter(ev);
+
+    // Zoom at the center along the locked axis
+    const lockAxis = this.getLockAxis();
+    lockAxis == 'x' && (offsetToCenter.y = 0);
+    lockAxis == 'y' && (offsetToCenter.x = 0);
+    this.adjustPositionByZoom(zoom, offsetToCenter.x, offsetToCenter.y);
+
+    // Update position
+    this.zoom = zoom;
+    this.setPosition(instant);
+
+    // Trigger event
+    this.fireEvent('onZoom', this.getPosition());
+
+    // Return instance
+    return this;
+  }
+
+  // Zoom and pan to fit a rectangle of the container into the wrapper
+  // The rectangle is in unzoomed pixels relative to the container
+  zoomToRect(rect, options = {}) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.stopInertia();
+
+    const wrapper = this.getWrapper();
+    const contentSize = this.getContentSize();
+    const padding = options.padding || 0;
+    const maxZoom = options.maxZoom || this.options.maxZoom;
+
+    // Get the size of the rotated rectangle
+    const angle = (this.rotation * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const width = rect.width * cos + rect.height * sin;
+    const height = rect.width * sin + rect.height * cos;
+
+    // Fit rectangle within padding
+    const zoomX = Math.max(wrapper.clientWidth - padding * 2, 1) / width;
+    const zoomY = Math.max(wrapper.clientHeight - padding * 2, 1) / height;
+    this.zoom = this.sanitizeZoom(Math.min(zoomX, zoomY, maxZoom));
+
+    // Pan to the center of the rectangle
+    this.panTo(
+      ((rect.x + rect.width * 0.5) / contentSize.width) * 100,
+      ((rect.y + rect.height * 0.5) / contentSize.height) * 100,
+      options.instant
+    );
+
+    // Trigger event
+    this.fireEvent('onZoom', this.getPosition());
+
+    // Return instance
+    return this;
+  }
+
+  // Zoom and pan to fit an element within the container into the wrapper
+  zoomToElement(element, options) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    const container = this.getContainer();
+
+    // Find the element if selector provided
+    if (typeof element === 'string') {
+      element = container && container.querySelector(element);
+    }
+
+    if (
+      !container ||
+      !(element instanceof Element) ||
+      !container.contains(element)
+    ) {
+      console.error(
+        'The element needs to be a valid selector string or an instance of Element within the panZoomElement.'
+      );
+      return this;
+    }
+
+    return this.zoomToRect(this.getElementRect(element), options);
+  }
+
+  // Get the unzoomed position and size of an element relative to the container
+  getElementRect(element) {
+    const container = this.getContainer();
+
+    // Measure SVG elements with their bounding box in the user units of the container
+    if (this.isSvg) {
+      const bBox = element.getBBox();
+      const matrix = container
+        .getScreenCTM()
+        .inverse()
+        .multiply(element.getScreenCTM());
+      const corners = [
+        [bBox.x, bBox.y],
+        [bBox.x + bBox.width, bBox.y],
+        [bBox.x, bBox.y + bBox.height],
+        [bBox.x + bBox.width, bBox.y + bBox.height]
+      ].map((corner) => {
+        const point = container.ownerSVGElement.createSVGPoint();
+        point.x = corner[0];
+        point.y = corner[1];
+        return point.matrixTransform(matrix);
+      });
+      const minX = Math.min(...corners.map((corner) => corner.x));
+      const minY = Math.min(...corners.map((corner) => corner.y));
+      const maxX = Math.max(...corners.map((corner) => corner.x));
+      const maxY = Math.max(...corners.map((corner) => corner.y));
+
+      return {
+        x: (minX - this.svgBox.x) * this.svgBox.scale,
+        y: (minY - this.svgBox.y) * this.svgBox.scale,
+        width: (maxX - minX) * this.svgBox.scale,
+        height: (maxY - minY) * this.svgBox.scale
+      };
+    }
+
+    let el = element;
+    let x = 0;
+    let y = 0;
+
+    while (el && el !== container) {
+      x += el.offsetLeft;
+      y += el.offsetTop;
+      el = el.offsetParent;
+    }
+
+    // Subtract the container offset if it is not an offset parent
+    if (el !== container) {
+      el = container;
+      while (el) {
+        x -= el.offsetLeft;
+        y -= el.offsetTop;
+        el = el.offsetParent;
+      }
+    }
+
+    return {
+      x: x,
+      y: y,
+      width: element.offsetWidth,
+      height: element.offsetHeight
+    };
+  }
+
+  // Zoom in
+  zoomIn(step, instant) {
+    return this.zoomInOut(step, instant, 'in');
+  }
+
+  // Zoom out
+  zoomOut(step, instant) {
+    return this.zoomInOut(step, instant, 'out');
+  }
+
+  // Zoom in or out
+  zoomInOut(step, instant, direction) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    // Step is an optional attribute
+    if (step === true || step === false) {
+      instant = step;
+      step = null;
+    }
+
+    // Update zoom
+    return this.zoomTo(this.getNextZoom(direction, step), instant);
+  }
+
+  // Get the next zoom with direction 'in' or 'out'
+  // Without a step in percent the next of the option zoomLevels is used
+  getNextZoom(direction, step) {
+    if (!step && this.options.zoomLevels) {
+      return this.getViewport().getNextZoomLevel(
+        this.options.zoomLevels,
+        this.zoom,
+        this.rotation,
+        direction
+      );
+    }
+
+    return Viewport.getStepZoom(
+      this.zoom,
+      step || this.options.zoomStep,
+      direction
+    );
+  }
+
+  // Zoom to the nearest of the option zoomLevels
+  // Pass an event or point to zoom at its location
+  snapZoom(ev) {
+    // Abort if instance is destroyed
+    if (this.destroyed || !this.options.zoomLevels) {
+      return this;
+    }
 
-    while (el && !isNaN(el.offsetLeft) && !isNaN(el.offsetTop)) {
-      x += el.offsetLeft - el.scrollLeft;
-      y += el.offsetTop - el.scrollTop;
-      el = el.offsetParent;
+    const zoom = this.getViewport().getNearestZoomLevel(
+      this.options.zoomLevels,
+      this.zoom,
+      this.rotation
+    );
+
+    if (zoom != this.zoom) {
+      this.withSource('snap', () => {
+        ev ? this.zoomAtEvent(zoom, ev) : this.zoomTo(zoom);
+      });
     }
 
-    x = ev.clientX - x;
-    y = ev.clientY - y;
+    // Return instance
+    return this;
+  }
 
-    return { x: x, y: y };
+  // Adjust position when zooming
+  adjustPositionByZoom(zoom, x, y) {
+    const position = this.getViewport().zoomAtPoint(
+      this.getPosition(),
+      zoom,
+      x,
+      y
+    );
+
+    this.x = position.x;
+    this.y = position.y;
   }
 
-  // Get the event offset to the center
-  getEventOffsetToCenter(ev) {
-    const wrapper = this.getWrapper();
-    const container = this.getContainer();
-    const diffX = wrapper.clientWidth - container.clientWidth;
-    const diffY = wrapper.clientHeight - container.clientHeight;
-    const centerX = diffX * 0.5;
-    const centerY = diffY * 0.5;
+  // Center container within wrapper
+  center(instant, ignorePosition) {
+    return this.panTo(50, 50, instant, ignorePosition);
+  }
 
-    const offsetToCenter = {
-      x: 0,
-      y: 0
+  // Getters for pan
+  getPan(pixelValues) {
+    return {
+      x: this.getPanX(pixelValues),
+      y: this.getPanY(pixelValues)
     };
+  }
 
-    if (ev) {
-      const offsetToParent = this.getEventOffsetToParent(ev);
-      offsetToCenter.x =
-        (wrapper.clientWidth / 2 - offsetToParent.x - window.scrollX) * -1;
-      offsetToCenter.y =
-        (wrapper.clientHeight / 2 - offsetToParent.y - window.scrollY) * -1;
+  getPanX(pixelValues) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
     }
 
-    const offsetX = this.x - centerX - offsetToCenter.x;
-    const offsetY = this.y - centerY - offsetToCenter.y;
+    const point = this.getPanPoint();
+    return pixelValues
+      ? point.x * this.zoom
+      : this.getViewport().pointToPercent(point).x;
+  }
 
-    return {
-      x: offsetX,
-      y: offsetY
-    };
+  getPanY(pixelValues) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
+    const point = this.getPanPoint();
+    return pixelValues
+      ? point.y * this.zoom
+      : this.getViewport().pointToPercent(point).y;
   }
 
-  // Get the distance between two touch events
-  getTouchEventsDistance(ev1, ev2) {
-    return Math.abs(Math.hypot(ev1.pageX - ev1.pageX, ev1.pageY - ev2.pageY));
+  // Get the unzoomed point of the container in the center of the wrapper
+  getPanPoint(position = this.getPosition()) {
+    return this.getViewport().getPanPoint(position);
   }
 
-  // Get the center point between two touch events
-  getTouchEventsCenter(ev1, ev2) {
-    return {
-      pageX: (ev1.pageX + ev2.pageX) / 2,
-      pageY: (ev1.pageY + ev2.pageX) / 2,
-      clientX: (ev1.clientX + ev2.clientX) / 2,
-      clientY: (ev1.clientY + ev2.clientY) / 2
-    };
+  // Get the x and y values to show an unzoomed point of the container in the center of the wrapper
+  getPanPosition(point, zoom, rotation) {
+    return this.getViewport().getPanPosition(point, zoom, rotation);
   }
 
-  // Get current position values
-  getPosition() {
+  // Get the view independent of the wrapper size
+  // The x and y values are the point of the container in the center of the wrapper in percent
+  getState() {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
     return {
       zoom: this.zoom,
-      x: this.x,
-      y: this.y
+      rotation: this.rotation,
+      x: this.getPanX(),
+      y: this.getPanY()
     };
   }
 
-  // Initialize
-  setPosition(instant) {
-    this.transition(!instant);
+  // Restore a view from getState
+  setState(state, instant) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
 
-    // Fit to bounds
-    if (this.options.bounds) {
-      const wrapper = this.getWrapper();
-      const container = this.getContainer();
-      const wrapperWidth = wrapper.clientWidth;
-      const wrapperHeight = wrapper.clientHeight;
-      const containerWidth = container.clientWidth;
-      const containerHeight = container.clientHeight;
-      const containerZoomWidth = containerWidth * this.zoom;
-      const containerZoomHeight = containerHeight * this.zoom;
-
-      const upperOffsetX = (containerWidth / 2) * (this.zoom - 1);
-      const lowerOffsetX = upperOffsetX * -1 + wrapperWidth - containerWidth;
-
-      if (containerZoomWidth < wrapperWidth) {
-        this.x < upperOffsetX && (this.x = upperOffsetX);
-        this.x > lowerOffsetX && (this.x = lowerOffsetX);
-      } else {
-        this.x = Math.min(this.x, upperOffsetX);
-        this.x = Math.max(this.x, lowerOffsetX);
-      }
+    this.stopInertia();
 
-      const upperOffsetY = (containerHeight / 2) * (this.zoom - 1);
-      const lowerOffsetY = upperOffsetY * -1 + wrapperHeight - containerHeight;
+    if (state.rotation != null) {
+      this.rotation = state.rotation;
+      this.updateMinZoom();
+    }
 
-      if (containerZoomHeight < wrapperHeight) {
-        this.y < upperOffsetY && (this.y = upperOffsetY);
-        this.y > lowerOffsetY && (this.y = lowerOffsetY);
-      } else {
-        this.y = Math.min(this.y, upperOffsetY);
-        this.y = Math.max(this.y, lowerOffsetY);
-      }
+    if (state.zoom != null) {
+      this.zoom = this.sanitizeZoom(state.zoom);
     }
 
-    // Set position
-    this.getContainer().style.transform =
-      'matrix(' +
-      this.zoom +
-      ', 0, 0, ' +
-      this.zoom +
-      ', ' +
-      this.x +
-      ', ' +
-      this.y +
-      ')';
+    const pan = this.getPan();
+    this.panTo(
+      state.x != null ? state.x : pan.x,
+      state.y != null ? state.y : pan.y,
+      instant
+    );
 
     // Trigger event
-    this.fireEvent('onChange', this.getPosition());
+    this.fireEvent('onZoom', this.getPosition());
 
     // Return instance
     return this;
   }
 
-  // Sanitize zoom value
-  sanitizeZoom(zoom) {
-    // Get values for 'cover' and 'contain'
-    if (zoom == 'cover' || zoom == 'contain') {
-      const wrapper = this.getWrapper();
-      const container = this.getContainer();
+  // Read the view from the URL
+  readUrlState() {
+    const params = new URLSearchParams(
+      this.options.syncUrl == 'hash' ? location.hash.slice(1) : location.search
+    );
+    const value = params.get(this.options.syncUrlParam);
 
-      const maxWidth = wrapper.clientWidth;
-      const maxHeight = wrapper.clientHeight;
+    if (!value) {
+      return null;
+    }
 
-      const panZoomWidth = container.clientWidth;
-      const panZoomHeight = container.clientHeight;
+    // The format is zoom,x,y or zoom,x,y,rotation
+    const values = value.split(',').map(parseFloat);
 
-      const minZoomX = maxWidth / panZoomWidth;
-      const minZoomY = maxHeight / panZoomHeight;
+    if (values.length < 3 || values.slice(0, 3).some(isNaN)) {
+      return null;
+    }
 
-      // TODO is first cebter OK?
-      this.center(true, true);
+    return {
+      zoom: values[0],
+      x: values[1],
+      y: values[2],
+      rotation: isNaN(values[3]) ? this.options.initialRotation : values[3]
+    };
+  }
 
-      if (zoom == 'cover') {
-        zoom = Math.max(minZoomX, minZoomY);
-      } else {
-        zoom = Math.min(minZoomX, minZoomY);
-      }
-    }
+  // Write the view to the URL
+  writeUrlState() {
+    const state = this.getState();
 
-    // Adjust for minZoom
-    if (zoom < this.options.minZoom) {
-      zoom = this.options.minZoom;
+    if (!state) {
+      return;
     }
 
-    // Adjust for maxZoom
-    if (zoom > this.options.maxZoom) {
-      zoom = this.options.maxZoom;
+    const values = [
+      +state.zoom.toFixed(4),
+      +state.x.toFixed(2),
+      +state.y.toFixed(2)
+    ];
+    state.rotation != this.options.initialRotation &&
+      values.push(+state.rotation.toFixed(2));
+
+    const url = new URL(location.href);
+    const hash = this.options.syncUrl == 'hash';
+
+    // Keep page anchors, only fragments with key=value pairs can be extended
+    if (
+      hash &&
+      url.hash.length > 1 &&
+      !/^#[^=&]+=[^&]*(&[^=&]+=[^&]*)*$/.test(url.hash)
+    ) {
+      return;
     }
 
-    return zoom;
+    const params = new URLSearchParams(hash ? url.hash.slice(1) : url.search);
+    params.set(this.options.syncUrlParam, values.join(','));
+
+    // Keep the commas readable
+    const value = params.toString().replace(/%2C/g, ',');
+    hash ? (url.hash = value) : (url.search = value);
+
+    if (url.href != location.href) {
+      history.replaceState(history.state, '', url.href);
+    }
   }
 
-  // Getter for zoom
-  getZoom() {
-    return this.zoom;
+  // Getter for rotation
+  getRotation() {
+    return this.rotation;
   }
 
-  // Zoom to
-  zoomTo(zoom, instant) {
-    // Sanitize zoom
-    zoom = this.sanitizeZoom(zoom);
+  // Rotate to an angle in degrees around the center of the wrapper
+  rotateTo(rotation, instant) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
 
-    // Get offset to center, then adjust
-    const offsetToCenter = this.getEventOffsetToCenter();
-    this.adjustPositionByZoom(zoom, offsetToCenter.x, offsetToCenter.y);
+    this.stopInertia();
 
-    // Set new zoom
-    this.zoom = zoom;
-    this.setPosition(instant);
+    const wrapper = this.getWrapper();
+    const contentSize = this.getContentSize();
+    const centerX = contentSize.width * 0.5;
+    const centerY = contentSize.height * 0.5;
+
+    // Rotate the offset of the container center to the wrapper center
+    const offset = this.rotatePoint(
+      centerX + this.x - wrapper.clientWidth * 0.5,
+      centerY + this.y - wrapper.clientHeight * 0.5,
+      rotation - this.rotation
+    );
 
-    // Trigger event
-    this.fireEvent('onZoom', this.getPosition());
+    this.x = wrapper.clientWidth * 0.5 + offset.x - centerX;
+    this.y = wrapper.clientHeight * 0.5 + offset.y - centerY;
+    this.rotation = rotation;
+
+    // The rotated bounds might change the minimum zoom
+    this.updateMinZoom();
+    this.zoom = this.sanitizeZoom(this.zoom);
+
+    // Update position
+    this.setPosition(instant);
 
     // Return instance
     return this;
   }
 
-  // Zoom in
-  zoomIn(step, instant) {
-    return this.zoomInOut(step, instant, 'in');
-  }
-
-  // Zoom out
-  zoomOut(step, instant) {
-    return this.zoomInOut(step, instant, 'out');
+  // Rotate by an angle in degrees
+  rotateBy(rotation, instant) {
+    return this.rotateTo(this.rotation + rotation, instant);
   }
 
-  // Zoom in or out
-  zoomInOut(step, instant, direction) {
-    // Step is an optional attribute
-    if (step === true || step === false) {
-      instant = step;
-      step = null;
+  // Reset to the initial zoom and pan
+  reset(instant) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
     }
-    step = step || this.options.zoomStep;
 
-    // Calculate nextZoom
-    const currentZoom = this.zoom;
-    const zoomStep = (100 + step) / 100;
-    if (direction === 'out') {
-      zoomStep = 1 / zoomStep;
+    this.stopInertia();
+
+    this.rotation = this.options.initialRotation;
+    this.updateMinZoom();
+    this.zoom = this.sanitizeZoom(this.options.initialZoom);
+
+    if (this.options.center) {
+      this.center(instant);
+    } else {
+      this.panTo(this.options.initialPanX, this.options.initialPanY, instant);
     }
-    const nextZoom = currentZoom * zoomStep;
 
-    // Update zoom
-    return this.zoomTo(nextZoom, instant);
-  }
+    // Trigger event
+    this.fireEvent('onZoom', this.getPosition());
 
-  // Adjust position when zooming
-  adjustPositionByZoom(zoom, x, y) {
-    const currentZoom = this.zoom;
-    const zoomGrowth = (zoom - currentZoom) / currentZoom;
+    // Return instance
+    return this;
+  }
 
-    const container = this.getContainer();
-    const maxOffsetX = container.clientWidth * 0.5 * currentZoom;
-    const maxOffsetY = container.clientHeight * 0.5 * currentZoom;
+  // Zoom out, pan and zoom in to a position along a smooth path
+  // The x and y values are in percent like with panTo
+  flyTo(target, options = {}) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
 
-    x > maxOffsetX && (x = Math.min(x, maxOffsetX));
-    x < maxOffsetX * -1 && (x = Math.max(x, maxOffsetX * -1));
+    this.stopInertia();
 
-    y > maxOffsetY && (y = Math.min(y, maxOffsetY));
-    y < maxOffsetY * -1 && (y = Math.max(y, maxOffsetY * -1));
+    const contentSize = this.getContentSize();
+    const pan = this.getPan();
+    const x = target.x != null ? target.x : pan.x;
+    const y = target.y != null ? target.y : pan.y;
 
-    this.x += x * zoomGrowth;
-    this.y += y * zoomGrowth;
-  }
+    this.zoom = this.sanitizeZoom(
+      target.zoom != null ? target.zoom : this.zoom
+    );
 
-  // Center container within wrapper
-  center(instant, ignorePosition) {
-    return this.panTo(50, 50, instant, ignorePosition);
-  }
+    Object.assign(
+      this,
+      this.getPanPosition(
+        {
+          x: (contentSize.width * x) / 100,
+          y: (contentSize.height * y) / 100
+        },
+        this.zoom,
+        this.rotation
+      )
+    );
 
-  // Getters for pan
-  getPan(pixelValues) {
-    return {
-      x: this.getPanX(pixelValues),
-      y: this.getPanY(pixelValues)
-    };
-  }
+    // Update position
+    this.setPosition(options.instant, (from, to) =>
+      this.getFlyPath(from, to, options)
+    );
 
-  getPanX(pixelValues) {
-    const wrapper = this.getWrapper();
-    const container = this.getContainer();
-    let panX = wrapper.clientWidth * 0.5 + this.x * -1;
-    panX += (this.zoom - 1) * (container.clientWidth * 0.5);
-    const percentX = (panX / (container.clientWidth * this.zoom)) * 100;
-    return pixelValues ? panX : percentX;
-  }
+    // Trigger events
+    this.fireEvent('onZoom', this.getPosition());
+    this.fireEvent('onPan', this.getPosition());
 
-  getPanY(pixelValues) {
-    const wrapper = this.getWrapper();
-    const container = this.getContainer();
-    let panY = wrapper.clientHeight * 0.5 + this.y * -1;
-    panY += (this.zoom - 1) * (container.clientHeight * 0.5);
-    const percentY = (panY / (container.clientHeight * this.zoom)) * 100;
-    return pixelValues ? panY : percentY;
+    // Return instance
+    return this;
   }
 
   // Pan to position
   panTo(x, y, instant, ignorePosition) {
-    const wrapper = this.getWrapper();
-    const container = this.getContainer();
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
 
-    let panX = ((container.clientWidth * this.zoom * x) / 100) * -1;
-    panX += (this.zoom - 1) * (container.clientWidth * 0.5);
-    panX += wrapper.clientWidth * 0.5;
+    this.stopInertia();
 
-    let panY = ((container.clientHeight * this.zoom * y) / 100) * -1;
-    panY += (this.zoom - 1) * (container.clientHeight * 0.5);
-    panY += wrapper.clientHeight * 0.5;
+    // Pan only along the locked axis
+    const lockAxis = this.initialized && this.getLockAxis();
+    lockAxis == 'x' && (y = this.getPanY());
+    lockAxis == 'y' && (x = this.getPanX());
 
-    this.x = panX;
-    this.y = panY;
+    const position = this.getViewport().panTo(this.getPosition(), x, y);
+
+    this.x = position.x;
+    this.y = position.y;
 
     // Update position
     if (!ignorePosition) {
@@ -662,20 +2786,36 @@ export default class domPanZoom {
   }
 
   pan(step, instant, direction) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    this.stopInertia();
+
     if (step === true || step === false) {
       instant = step;
       step = null;
     }
     step = step || this.options.panStep;
 
-    const container = this.getContainer();
-    const panWidth = ((container.clientWidth * step) / 100) * this.zoom;
-    const panHeight = ((container.clientWidth * step) / 100) * this.zoom;
+    // Pan only along the locked axis
+    const lockAxis = this.getLockAxis();
+    if (
+      (lockAxis == 'x' && (direction == 'up' || direction == 'down')) ||
+      (lockAxis == 'y' && (direction == 'left' || direction == 'right'))
+    ) {
+      return this;
+    }
 
-    direction === 'left' && (this.x += panWidth * -1);
-    direction === 'right' && (this.x += panWidth);
-    direction === 'up' && (this.y += panHeight * -1);
-    direction === 'down' && (this.y += panHeight);
+    const position = this.getViewport().panStep(
+      this.getPosition(),
+      step,
+      direction
+    );
+
+    this.x = position.x;
+    this.y = position.y;
 
     // Update position
     this.setPosition(instant);
@@ -687,8 +2827,188 @@ export default class domPanZoom {
     return this;
   }
 
+  // Pan to the nearest of the option snapPoints
+  // The distance the inertia would glide is taken into account
+  snapPan() {
+    // Abort if instance is destroyed
+    if (this.destroyed || !this.options.snapPoints) {
+      return this;
+    }
+
+    this.stopInertia();
+
+    const viewport = this.getViewport();
+    const padding = viewport.getBoundsPadding();
+    const position = this.getPosition();
+
+    // Add the glide distance if the pointer was still moving when released
+    if (
+      this.options.inertia &&
+      this.lastMoveTime &&
+      performance.now() - this.lastMoveTime < 100
+    ) {
+      const friction = this.options.inertiaFriction;
+      const glide = (16 * friction) / (1 - friction);
+      position.x += this.velocityX * glide;
+      position.y += this.velocityY * glide;
+    }
+
+    const target = viewport.snap(
+      viewport.clamp(position),
+      this.options.snapPoints,
+      this.options.snapAlign == 'center'
+        ? viewport.getWrapperCenter()
+        : { x: padding.left, y: padding.top }
+    );
+
+    this.x = target.x;
+    this.y = target.y;
+
+    this.withSource('snap', () => {
+      this.setPosition();
+
+      // Trigger event
+      this.fireEvent('onPan', this.getPosition());
+    });
+
+    // Return instance
+    return this;
+  }
+
+  // Enable an input, or all inputs without a name
+  // Use 'drag', 'wheel', 'pinch', 'doubleTap' or 'keyboard'
+  enable(input) {
+    return this.setInputEnabled(input, true);
+  }
+
+  // Disable an input, or all inputs without a name
+  disable(input) {
+    return this.setInputEnabled(input, false);
+  }
+
+  // Enable or disable an input, or all inputs without a name
+  setInputEnabled(input, enabled) {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    // Abort if the input is unknown
+    if (input && Object.keys(this.enabledInputs).indexOf(input) == -1) {
+      console.error(
+        "The input needs to be 'drag', 'wheel', 'pinch', 'doubleTap' or 'keyboard'."
+      );
+      return this;
+    }
+
+    const inputs = input ? [input] : Object.keys(this.enabledInputs);
+
+    inputs.forEach((name) => {
+      this.enabledInputs[name] = enabled;
+    });
+
+    // Make the wrapper focusable only while keyboard support is enabled
+    if (inputs.includes('keyboard')) {
+      enabled ? this.addKeyboardAttributes() : this.removeKeyboardAttributes();
+    }
+
+    // Return instance
+    return this;
+  }
+
+  // Check if an input is enabled
+  isEnabled(input) {
+    return !!this.enabledInputs[input];
+  }
+
+  // Remove all events and styles and release the elements
+  destroy() {
+    // Abort if instance is already destroyed
+    if (this.destroyed) {
+      return this;
+    }
+
+    const wrapper = this.getWrapper();
+    const container = this.getContainer();
+
+    // Destroy plugins
+    this.callPlugins('destroy');
+
+    // Remove events
+    this.stopInertia();
+    this.removeEvents();
+    this.resizeObserver && this.resizeObserver.disconnect();
+    this.listeners = {};
+    clearTimeout(this.wheelTimeout);
+    clearTimeout(this.dragTimeout);
+    clearTimeout(this.syncUrlTimeout);
+    this.stopAnimation();
+    this.evCache = [];
+    this.previousEvent = null;
+
+    // Reset the body cursor when destroyed while dragging
+    if (this.isDragging) {
+      document.body.style.cursor = null;
+      this.isDragging = false;
+    }
+
+    // Remove the preferPageScroll overlay
+    if (this.hintElement) {
+      clearTimeout(this.hintTimeout);
+      this.hintElement.remove();
+      this.hintElement = null;
+    }
+
+    // Remove the live region
+    if (this.liveRegionElement) {
+      clearTimeout(this.announceTimeout);
+      this.liveRegionElement.remove();
+      this.liveRegionElement = null;
+    }
+
+    // Remove added attributes
+    this.addedAttributes.forEach((item) => {
+      item.element.removeAttribute(item.name);
+    });
+    this.addedAttributes = [];
+
+    // Restore original styles
+    wrapper.style.cursor = this.originalStyles.wrapperCursor;
+    wrapper.style.overflow = this.originalStyles.wrapperOverflow;
+    wrapper.style.position = this.originalStyles.wrapperPosition;
+    wrapper.style.touchAction = this.originalStyles.wrapperTouchAction;
+    if (container) {
+      container.style.transform = this.originalStyles.containerTransform;
+    }
+
+    if (this.isSvg) {
+      this.originalStyles.containerTransformAttribute === null
+        ? container.removeAttribute('transform')
+        : container.setAttribute(
+            'transform',
+            this.originalStyles.containerTransformAttribute
+          );
+    }
+
+    // Release elements
+    this.wrapperElement = null;
+    this.containerElement = null;
+    this.options.wrapperElement = null;
+    this.options.panZoomElement = null;
+
+    this.destroyed = true;
+
+    // Return instance
+    return this;
+  }
+
   // Get the wrapper element
   getWrapper() {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
     // Return element if it is cached
     if (this.wrapperElement) {
       return this.wrapperElement;
@@ -724,6 +3044,11 @@ export default class domPanZoom {
 
   // Get the container element
   getContainer() {
+    // Abort if instance is destroyed
+    if (this.destroyed) {
+      return null;
+    }
+
     // Return element if it is cached
     if (this.containerElement) {
       return this.containerElement;
@@ -731,7 +3056,10 @@ export default class domPanZoom {
 
     // Abort if option is empty
     if (!this.options.panZoomElement) {
-      console.error('The option panZoomElement is required.');
+      !this.hasContentSize() &&
+        console.error(
+          'The option panZoomElement or the options contentWidth and contentHeight are required.'
+        );
       return null;
     }
 
@@ -756,11 +3084,19 @@ export default class domPanZoom {
     );
     return null;
   }
-
-  // Enable or disable transitions
-  transition(enabled) {
-    this.getContainer().style.transition = enabled
-      ? 'transform ' + this.options.transitionSpeed + 'ms'
-      : null;
-  }
 }
+
+// Plugins used with every instance
+domPanZoom.plugins = [];
+
+// Add a plugin to every instance created afterwards
+domPanZoom.use = function (plugin) {
+  domPanZoom.plugins.push(plugin);
+  return domPanZoom;
+};
+
+// Link instances to mirror their position changes
+domPanZoom.link = link;
+
+// The pan and zoom maths without DOM access
+domPanZoom.Viewport = Viewport;
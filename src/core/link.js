@@ -0,0 +1,59 @@
+// Link instances to mirror their position changes between them
+// The zoom is mirrored relative to the unrotated fitting zoom and the pan in percent, so the sizes can differ
+export default function link(instances, options = {}) {
+  options = Object.assign({ zoom: true, pan: true, rotation: true }, options);
+
+  // Ignore the changes caused by mirroring to avoid feedback loops
+  let syncing = false;
+
+  const handlers = instances.map((instance) => {
+    const handler = (position) => {
+      if (syncing || instance.destroyed) {
+        return;
+      }
+
+      const contentSize = instance.getContentSize();
+      const point = instance.getPanPoint(position);
+      const zoom = position.zoom / instance.getFitZoom('contain', 0);
+
+      syncing = true;
+
+      instances.forEach((other) => {
+        if (other === instance || other.destroyed) {
+          return;
+        }
+
+        other.withSource('link', () => {
+          other.setState(
+            {
+              zoom: options.zoom ? zoom * other.getFitZoom('contain', 0) : null,
+              rotation: options.rotation ? position.rotation : null,
+              x: options.pan ? (point.x / contentSize.width) * 100 : null,
+              y: options.pan ? (point.y / contentSize.height) * 100 : null
+            },
+            true
+          );
+        });
+      });
+
+      syncing = false;
+    };
+
+    instance.on('change', handler);
+    return handler;
+  });
+
+  // Start with the position of the first instance
+  instances.length && handlers[0](instances[0].renderPosition);
+
+  return {
+    instances,
+
+    // Stop mirroring the position changes
+    unlink() {
+      instances.forEach((instance, index) => {
+        instance.off('change', handlers[index]);
+      });
+    }
+  };
+}
@@ -0,0 +1,450 @@
+// The pan and zoom maths without DOM access
+// A position { zoom, rotation, x, y } is the transform of the content relative to its untransformed place in the wrapper
+// The content is zoomed and rotated around its center
+export default class Viewport {
+  constructor(options = {}) {
+    const defaultOptions = {
+      // The size of the wrapper in pixels
+      wrapperWidth: 0,
+      wrapperHeight: 0,
+
+      // The unzoomed size of the content in pixels
+      contentWidth: 0,
+      contentHeight: 0,
+
+      // Limit the position with 'contain', 'cover' or 'visible', or disable bounds with false
+      bounds: 'contain',
+
+      // The space between the bounds and the wrapper
+      // Use pixels, a percent string of the wrapper size or an object { top, right, bottom, left }
+      boundsPadding: 0,
+
+      // Limit the bounds to a rectangle { x, y, width, height } of the content in unzoomed pixels
+      boundsRect: null,
+
+      // How many percent of the bounds have to stay visible with the option bounds 'visible'
+      boundsVisible: 20,
+
+      // Minimum and maximum zoom
+      minZoom: 0.1,
+      maxZoom: 10
+    };
+
+    this.options = Object.assign({}, defaultOptions, options);
+  }
+
+  // Update options, e.g. after the sizes changed
+  set(options) {
+    Object.assign(this.options, options);
+
+    // Return instance
+    return this;
+  }
+
+  // Get the unzoomed size of the content
+  getContentSize() {
+    return {
+      width: this.options.contentWidth,
+      height: this.options.contentHeight
+    };
+  }
+
+  // Get the unzoomed size of the bounding box of the rotated content
+  getContainerSize(rotation = 0) {
+    return Viewport.getRotatedSize(
+      this.options.contentWidth,
+      this.options.contentHeight,
+      rotation
+    );
+  }
+
+  // Get the rectangle of the content to limit to the bounds
+  getBoundsRect() {
+    return (
+      this.options.boundsRect || {
+        x: 0,
+        y: 0,
+        width: this.options.contentWidth,
+        height: this.options.contentHeight
+      }
+    );
+  }
+
+  // Get the unzoomed size of the bounding box of the rotated bounds rectangle
+  getBoundsSize(rotation = 0) {
+    const rect = this.getBoundsRect();
+    return Viewport.getRotatedSize(rect.width, rect.height, rotation);
+  }
+
+  // Get the option boundsPadding in pixels
+  getBoundsPadding() {
+    let padding = this.options.boundsPadding;
+
+    if (typeof padding !== 'object' || padding === null) {
+      padding = {
+        top: padding,
+        right: padding,
+        bottom: padding,
+        left: padding
+      };
+    }
+
+    // Percent values are relative to the wrapper size
+    const toPixels = (value, size) =>
+      typeof value === 'string' && value.slice(-1) == '%'
+        ? (parseFloat(value) / 100) * size
+        : parseFloat(value) || 0;
+
+    return {
+      top: toPixels(padding.top, this.options.wrapperHeight),
+      right: toPixels(padding.right, this.options.wrapperWidth),
+      bottom: toPixels(padding.bottom, this.options.wrapperHeight),
+      left: toPixels(padding.left, this.options.wrapperWidth)
+    };
+  }
+
+  // Get the zoom to fit the bounds into the wrapper with 'contain' or 'cover'
+  getFitZoom(type, rotation = 0) {
+    const padding = this.getBoundsPadding();
+    const boundsSize = this.getBoundsSize(rotation);
+
+    const minZoomX =
+      (this.options.wrapperWidth - padding.left - padding.right) /
+      boundsSize.width;
+    const minZoomY =
+      (this.options.wrapperHeight - padding.top - padding.bottom) /
+      boundsSize.height;
+
+    if (type == 'cover') {
+      return Math.max(minZoomX, minZoomY);
+    }
+
+    return Math.min(minZoomX, minZoomY);
+  }
+
+  // Limit a zoom to minZoom and maxZoom
+  clampZoom(zoom) {
+    return Math.min(Math.max(zoom, this.options.minZoom), this.options.maxZoom);
+  }
+
+  // Get a position with the x and y values limited to the bounds
+  clamp(position) {
+    if (!this.options.bounds) {
+      return Object.assign({}, position);
+    }
+
+    const padding = this.getBoundsPadding();
+    const rect = this.getBoundsRect();
+    const centerX = this.options.contentWidth / 2;
+    const centerY = this.options.contentHeight / 2;
+
+    // Get the bounding box of the zoomed and rotated bounds rectangle relative to the content center
+    const corners = [
+      [rect.x, rect.y],
+      [rect.x + rect.width, rect.y],
+      [rect.x, rect.y + rect.height],
+      [rect.x + rect.width, rect.y + rect.height]
+    ].map((corner) =>
+      Viewport.rotatePoint(
+        (corner[0] - centerX) * position.zoom,
+        (corner[1] - centerY) * position.zoom,
+        position.rotation
+      )
+    );
+    const minX = Math.min(...corners.map((corner) => corner.x));
+    const maxX = Math.max(...corners.map((corner) => corner.x));
+    const minY = Math.min(...corners.map((corner) => corner.y));
+    const maxY = Math.max(...corners.map((corner) => corner.y));
+
+    const clamp = (value, center, min, max, size, paddingStart, paddingEnd) => {
+      let lower;
+      let upper;
+
+      if (this.options.bounds == 'visible') {
+        // Keep a part of the bounds within the wrapper
+        const visible = Math.min(
+          ((max - min) * this.options.boundsVisible) / 100,
+          size - paddingStart - paddingEnd
+        );
+        lower = paddingStart + visible - center - max;
+        upper = size - paddingEnd - visible - center - min;
+      } else {
+        // Keep smaller bounds within the wrapper, let larger bounds cover it
+        const start = paddingStart - center - min;
+        const end = size - paddingEnd - center - max;
+        lower = Math.min(start, end);
+        upper = Math.max(start, end);
+      }
+
+      return Math.min(Math.max(value, lower), upper);
+    };
+
+    return Object.assign({}, position, {
+      x: clamp(
+        position.x,
+        centerX,
+        minX,
+        maxX,
+        this.options.wrapperWidth,
+        padding.left,
+        padding.right
+      ),
+      y: clamp(
+        position.y,
+        centerY,
+        minY,
+        maxY,
+        this.options.wrapperHeight,
+        padding.top,
+        padding.bottom
+      )
+    });
+  }
+
+  // Get the position zoomed to a new zoom with a focal point
+  // The focal point x and y is the offset of the content center to the point in pixels
+  zoomAtPoint(position, zoom, x, y) {
+    const zoomGrowth = (zoom - position.zoom) / position.zoom;
+
+    // Keep the focal point within the content
+    const containerSize = this.getContainerSize(position.rotation);
+    const maxOffsetX = containerSize.width * 0.5 * position.zoom;
+    const maxOffsetY = containerSize.height * 0.5 * position.zoom;
+
+    x = Math.min(Math.max(x, maxOffsetX * -1), maxOffsetX);
+    y = Math.min(Math.max(y, maxOffsetY * -1), maxOffsetY);
+
+    return Object.assign({}, position, {
+      zoom: zoom,
+      x: position.x + x * zoomGrowth,
+      y: position.y + y * zoomGrowth
+    });
+  }
+
+  // Get the position moved by x and y pixels
+  panBy(position, x, y) {
+    return Object.assign({}, position, {
+      x: position.x + x,
+      y: position.y + y
+    });
+  }
+
+  // Get the position moved by a step in percent of the zoomed content size
+  // Use the direction 'left', 'right', 'up' or 'down'
+  panStep(position, step, direction) {
+    const width = ((this.options.contentWidth * step) / 100) * position.zoom;
+    const height = ((this.options.contentHeight * step) / 100) * position.zoom;
+    const offsets = {
+      left: [width * -1, 0],
+      right: [width, 0],
+      up: [0, height * -1],
+      down: [0, height]
+    };
+
+    return this.panBy(position, ...(offsets[direction] || [0, 0]));
+  }
+
+  // Get the position showing a point of the content in percent in the center of the wrapper
+  panTo(position, x, y) {
+    return Object.assign(
+      {},
+      position,
+      this.getPanPosition(
+        this.percentToPoint({ x, y }),
+        position.zoom,
+        position.rotation
+      )
+    );
+  }
+
+  // Get the center of the wrapper
+  getWrapperCenter() {
+    return {
+      x: this.options.wrapperWidth * 0.5,
+      y: this.options.wrapperHeight * 0.5
+    };
+  }
+
+  // Get the unzoomed point of the content at a point of the wrapper, the center by default
+  getPanPoint(position, anchor = this.getWrapperCenter()) {
+    const centerX = this.options.contentWidth * 0.5;
+    const centerY = this.options.contentHeight * 0.5;
+
+    const point = Viewport.rotatePoint(
+      (anchor.x - centerX - position.x) / position.zoom,
+      (anchor.y - centerY - position.y) / position.zoom,
+      position.rotation * -1
+    );
+
+    return {
+      x: centerX + point.x,
+      y: centerY + point.y
+    };
+  }
+
+  // Get the x and y values to show an unzoomed point of the content at a point of the wrapper, the center by default
+  getPanPosition(point, zoom, rotation, anchor = this.getWrapperCenter()) {
+    const centerX = this.options.contentWidth * 0.5;
+    const centerY = this.options.contentHeight * 0.5;
+
+    // Offset of the point to the content center, zoomed and rotated
+    const offset = Viewport.rotatePoint(
+      (point.x - centerX) * zoom,
+      (point.y - centerY) * zoom,
+      rotation
+    );
+
+    return {
+      x: anchor.x - centerX - offset.x,
+      y: anchor.y - centerY - offset.y
+    };
+  }
+
+  // Get the position nearest to a position which shows one of the snap points at a point of the wrapper
+  // Snap points are unzoomed points { x, y } of the content, an empty x or y keeps that axis
+  snap(position, points, anchor = this.getWrapperCenter()) {
+    const current = this.getPanPoint(position, anchor);
+    let nearest = Object.assign({}, position);
+    let nearestDistance = Infinity;
+
+    points.forEach((point) => {
+      const target = this.getPanPosition(
+        {
+          x: point.x == null ? current.x : point.x,
+          y: point.y == null ? current.y : point.y
+        },
+        position.zoom,
+        position.rotation,
+        anchor
+      );
+      const distance = Math.hypot(target.x - position.x, target.y - position.y);
+
+      if (distance < nearestDistance) {
+        nearest = Object.assign({}, position, target);
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  // Get the sorted zoom levels within minZoom and maxZoom
+  // Use numbers or 'contain' and 'cover' to fit the bounds into the wrapper
+  getZoomLevels(levels, rotation = 0) {
+    return levels
+      .map((level) =>
+        this.clampZoom(
+          level == 'contain' || level == 'cover'
+            ? this.getFitZoom(level, rotation)
+            : level
+        )
+      )
+      .sort((a, b) => a - b)
+      .filter((level, index, sorted) => level !== sorted[index - 1]);
+  }
+
+  // Get the zoom level nearest to a zoom
+  // The distance is measured in ratios, so 1.5 is as near to 1 as to 2.25
+  // The zoom is kept when there are no levels
+  getNearestZoomLevel(levels, zoom, rotation = 0) {
+    return this.getZoomLevels(levels, rotation).reduce(
+      (nearest, level, index) =>
+        index == 0 ||
+        Math.abs(Math.log(level / zoom)) < Math.abs(Math.log(nearest / zoom))
+          ? level
+          : nearest,
+      zoom
+    );
+  }
+
+  // Get the next zoom level above or below a zoom with direction 'in' or 'out'
+  // The zoom is kept when there is no further level
+  getNextZoomLevel(levels, zoom, rotation = 0, direction = 'in') {
+    const sorted = this.getZoomLevels(levels, rotation);
+    const tolerance = 1.0001;
+
+    const next =
+      direction === 'out'
+        ? sorted.filter((level) => level * tolerance < zoom).pop()
+        : sorted.filter((level) => level > zoom * tolerance).shift();
+
+    return next == null ? zoom : next;
+  }
+
+  // Convert an unzoomed point of the content to percent
+  pointToPercent(point) {
+    return {
+      x: (point.x / this.options.contentWidth) * 100,
+      y: (point.y / this.options.contentHeight) * 100
+    };
+  }
+
+  // Convert a point of the content in percent to unzoomed pixels
+  percentToPoint(percent) {
+    return {
+      x: (this.options.contentWidth * percent.x) / 100,
+      y: (this.options.contentHeight * percent.y) / 100
+    };
+  }
+
+  // Get the next zoom when zooming in or out by a step in percent
+  static getStepZoom(zoom, step, direction) {
+    let zoomStep = (100 + step) / 100;
+    if (direction === 'out') {
+      zoomStep = 1 / zoomStep;
+    }
+
+    return zoom * zoomStep;
+  }
+
+  // Get the size of the bounding box of a rotated rectangle
+  static getRotatedSize(width, height, rotation) {
+    const angle = (rotation * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+
+    return {
+      width: width * cos + height * sin,
+      height: width * sin + height * cos
+    };
+  }
+
+  // Rotate a point around the origin
+  static rotatePoint(x, y, rotation) {
+    const angle = (rotation * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    return {
+      x: x * cos - y * sin,
+      y: x * sin + y * cos
+    };
+  }
+
+  // Get the distance between two pointers
+  static getDistance(point1, point2) {
+    return Math.hypot(point1.pageX - point2.pageX, point1.pageY - point2.pageY);
+  }
+
+  // Get the angle between two pointers in degrees
+  static getAngle(point1, point2) {
+    return (
+      (Math.atan2(
+        point2.clientY - point1.clientY,
+        point2.clientX - point1.clientX
+      ) *
+        180) /
+      Math.PI
+    );
+  }
+
+  // Get the center point between two pointers
+  static getCenter(point1, point2) {
+    return {
+      pageX: (point1.pageX + point2.pageX) / 2,
+      pageY: (point1.pageY + point2.pageY) / 2,
+      clientX: (point1.clientX + point2.clientX) / 2,
+      clientY: (point1.clientY + point2.clientY) / 2
+    };
+  }
+}
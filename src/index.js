@@ -1,3 +1,3 @@
 import domPanZoom from './core/domPanZoom.js';
 
-export default domPanZoom;
\ No newline at end of file
+export default domPanZoom;
@@ -0,0 +1,11 @@
+import domPanZoom from './core/domPanZoom.js';
+import domPanZoomMinimap from './components/minimap.js';
+import domPanZoomControls from './components/controls.js';
+import domPanZoomCompare from './components/compare.js';
+
+// The browser build includes all components
+domPanZoom.Minimap = domPanZoomMinimap;
+domPanZoom.Controls = domPanZoomControls;
+domPanZoom.Compare = domPanZoomCompare;
+
+export default domPanZoom;
@@ -7,6 +7,14 @@ const reset = '\x1b[0m';
 const files = [
   'dist/index.js',
   'dist/index.cjs',
+  'dist/minimap.js',
+  'dist/minimap.cjs',
+  'dist/controls.js',
+  'dist/controls.cjs',
+  'dist/compare.js',
+  'dist/compare.cjs',
+  'dist/viewport.js',
+  'dist/viewport.cjs',
   'dist/dom-pan-zoom.umd.js'
 ];
 
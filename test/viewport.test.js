@@ -0,0 +1,273 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Viewport from '../src/core/viewport.js';
+
+// A wrapper of 400 x 300 pixels with a content of 800 x 600 pixels
+const createViewport = (options) =>
+  new Viewport(
+    Object.assign(
+      {
+        wrapperWidth: 400,
+        wrapperHeight: 300,
+        contentWidth: 800,
+        contentHeight: 600
+      },
+      options
+    )
+  );
+
+const position = (zoom, x, y, rotation = 0) => ({ zoom, rotation, x, y });
+
+// Compare numbers with rounding errors of the rotation
+const assertClose = (actual, expected) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(
+      Math.abs(actual[key] - expected[key]) < 1e-9,
+      `${key}: expected ${expected[key]}, got ${actual[key]}`
+    );
+  });
+};
+
+test('getFitZoom fits the content with contain and cover', () => {
+  const viewport = createViewport({ contentWidth: 800, contentHeight: 300 });
+
+  assert.equal(viewport.getFitZoom('contain'), 0.5);
+  assert.equal(viewport.getFitZoom('cover'), 1);
+  assert.equal(viewport.getFitZoom('contain', 90), 0.375);
+});
+
+test('getFitZoom takes boundsPadding and boundsRect into account', () => {
+  const viewport = createViewport({
+    boundsPadding: { top: 0, right: '10%', bottom: 0, left: 40 },
+    boundsRect: { x: 100, y: 100, width: 200, height: 100 }
+  });
+
+  assert.deepEqual(viewport.getBoundsPadding(), {
+    top: 0,
+    right: 40,
+    bottom: 0,
+    left: 40
+  });
+  assert.equal(viewport.getFitZoom('contain'), 1.6);
+});
+
+test('clamp keeps a smaller content within the wrapper', () => {
+  const viewport = createViewport();
+
+  assert.deepEqual(
+    viewport.clamp(position(0.25, -500, 500)),
+    position(0.25, -300, -75)
+  );
+  assert.deepEqual(
+    viewport.clamp(position(0.25, 0, -1000)),
+    position(0.25, -100, -225)
+  );
+});
+
+test('clamp lets a larger content cover the wrapper', () => {
+  const viewport = createViewport();
+
+  assert.deepEqual(viewport.clamp(position(1, 100, 100)), position(1, 0, 0));
+  assert.deepEqual(
+    viewport.clamp(position(1, -900, -900)),
+    position(1, -400, -300)
+  );
+  assert.deepEqual(
+    viewport.clamp(position(1, -100, -50)),
+    position(1, -100, -50)
+  );
+});
+
+test('clamp respects the rotation', () => {
+  const viewport = createViewport({ contentWidth: 600, contentHeight: 200 });
+
+  // The rotated content is 200 x 600 pixels, so it stays within the wrapper horizontally and covers it vertically
+  assertClose(viewport.clamp(position(1, 500, 500, 90)), { x: 0, y: 200 });
+});
+
+test('clamp keeps a part visible with bounds visible', () => {
+  const viewport = createViewport({ bounds: 'visible', boundsVisible: 25 });
+
+  // 25% of 800 pixels have to stay within the wrapper
+  assert.deepEqual(viewport.clamp(position(1, 1000, 0)), position(1, 200, 0));
+  assert.deepEqual(viewport.clamp(position(1, -1000, 0)), position(1, -600, 0));
+});
+
+test('clamp does not change the position without bounds', () => {
+  const viewport = createViewport({ bounds: false });
+  const from = position(1, 5000, -5000);
+
+  assert.deepEqual(viewport.clamp(from), from);
+  assert.notEqual(viewport.clamp(from), from);
+});
+
+test('clampZoom limits to minZoom and maxZoom', () => {
+  const viewport = createViewport({ minZoom: 0.5, maxZoom: 4 });
+
+  assert.equal(viewport.clampZoom(0.1), 0.5);
+  assert.equal(viewport.clampZoom(2), 2);
+  assert.equal(viewport.clampZoom(10), 4);
+});
+
+test('zoomAtPoint keeps the focal point in place', () => {
+  const viewport = createViewport();
+  const from = position(1, -200, -150);
+
+  // Zoom at the center of the content
+  assert.deepEqual(
+    viewport.zoomAtPoint(from, 2, 0, 0),
+    position(2, -200, -150)
+  );
+
+  // Zoom at the top left corner of the wrapper
+  // The point is 200 x 150 pixels away from the content center
+  const to = viewport.zoomAtPoint(from, 2, 200, 150);
+  assert.deepEqual(to, position(2, 0, 0));
+  assert.deepEqual(
+    viewport.getPanPoint(to),
+    { x: 300, y: 225 },
+    'The top left corner of the wrapper still shows the content point 200, 150'
+  );
+});
+
+test('zoomAtPoint limits the focal point to the content', () => {
+  const viewport = createViewport();
+
+  assert.deepEqual(
+    viewport.zoomAtPoint(position(1, 0, 0), 2, 5000, 0),
+    viewport.zoomAtPoint(position(1, 0, 0), 2, 400, 0)
+  );
+});
+
+test('panTo and getPanPoint convert between percent and positions', () => {
+  const viewport = createViewport();
+
+  assert.deepEqual(
+    viewport.panTo(position(1, 0, 0), 50, 50),
+    position(1, -200, -150)
+  );
+  assert.deepEqual(
+    viewport.panTo(position(2, 0, 0), 25, 75),
+    position(2, 200, -450)
+  );
+
+  const rotated = viewport.panTo(position(2, 0, 0, 90), 25, 75);
+  assertClose(viewport.pointToPercent(viewport.getPanPoint(rotated)), {
+    x: 25,
+    y: 75
+  });
+});
+
+test('panBy moves the position by pixels', () => {
+  const viewport = createViewport();
+
+  assert.deepEqual(
+    viewport.panBy(position(1, 10, 20), -5, 5),
+    position(1, 5, 25)
+  );
+});
+
+test('panStep moves by a step in percent of the zoomed content size', () => {
+  const viewport = createViewport();
+
+  assert.deepEqual(
+    viewport.panStep(position(1, 0, 0), 10, 'left'),
+    position(1, -80, 0)
+  );
+  assert.deepEqual(
+    viewport.panStep(position(2, 0, 0), 10, 'down'),
+    position(2, 0, 120)
+  );
+  assert.deepEqual(
+    viewport.panStep(position(1, 0, 0), 10, 'up'),
+    position(1, 0, -60)
+  );
+});
+
+test('getStepZoom zooms in and out by a step in percent', () => {
+  assert.equal(Viewport.getStepZoom(1, 100, 'in'), 2);
+  assert.equal(Viewport.getStepZoom(1, 100, 'out'), 0.5);
+  assert.equal(Viewport.getStepZoom(2, 25, 'out'), 1.6);
+});
+
+test('getDistance measures between two pointers', () => {
+  assert.equal(
+    Viewport.getDistance({ pageX: 0, pageY: 0 }, { pageX: 30, pageY: 40 }),
+    50
+  );
+  assert.equal(
+    Viewport.getDistance({ pageX: 10, pageY: 0 }, { pageX: 10, pageY: 40 }),
+    40
+  );
+});
+
+test('getCenter gets the center between two pointers', () => {
+  assert.deepEqual(
+    Viewport.getCenter(
+      { pageX: 0, pageY: 10, clientX: 0, clientY: 0 },
+      { pageX: 100, pageY: 50, clientX: 20, clientY: 40 }
+    ),
+    { pageX: 50, pageY: 30, clientX: 10, clientY: 20 }
+  );
+});
+
+test('getAngle gets the angle between two pointers', () => {
+  assert.equal(
+    Viewport.getAngle({ clientX: 0, clientY: 0 }, { clientX: 0, clientY: 10 }),
+    90
+  );
+});
+
+// The zoom levels and the viewport shared by the zoom level and snap tests
+const levels = [0.25, 0.5, 1, 2, 4];
+const levelViewport = createViewport();
+
+test('getZoomLevels sorts the levels and resolves contain and cover', () => {
+  const viewport = createViewport({ minZoom: 0.25, maxZoom: 4 });
+
+  assert.deepEqual(
+    viewport.getZoomLevels([2, 'contain', 0.1, 1, 'cover', 8, 0.5]),
+    [0.25, 0.5, 1, 2, 4]
+  );
+});
+
+test('getNearestZoomLevel snaps to the nearest ratio', () => {
+  assert.equal(levelViewport.getNearestZoomLevel(levels, 1.4), 1);
+  assert.equal(levelViewport.getNearestZoomLevel(levels, 1.45), 2);
+  assert.equal(levelViewport.getNearestZoomLevel(levels, 0.1), 0.25);
+  assert.equal(levelViewport.getNearestZoomLevel([], 1.4), 1.4);
+});
+
+test('getNextZoomLevel steps through the levels', () => {
+  assert.equal(levelViewport.getNextZoomLevel(levels, 1, 0, 'in'), 2);
+  assert.equal(levelViewport.getNextZoomLevel(levels, 1.5, 0, 'in'), 2);
+  assert.equal(levelViewport.getNextZoomLevel(levels, 1, 0, 'out'), 0.5);
+  assert.equal(levelViewport.getNextZoomLevel(levels, 1.5, 0, 'out'), 1);
+  assert.equal(levelViewport.getNextZoomLevel(levels, 4, 0, 'in'), 4);
+  assert.equal(levelViewport.getNextZoomLevel(levels, 0.25, 0, 'out'), 0.25);
+});
+
+test('snap settles on the nearest snap point', () => {
+  const pages = [{ y: 0 }, { y: 600 }, { y: 1200 }];
+  const anchor = { x: 0, y: 0 };
+
+  // The top of the wrapper shows the content point 700
+  const to = levelViewport.snap(position(1, -100, -700), pages, anchor);
+  assert.deepEqual(to, position(1, -100, -600));
+  assert.deepEqual(levelViewport.getPanPoint(to, anchor), { x: 100, y: 600 });
+
+  // Snap in both axes at the center of the wrapper
+  assert.deepEqual(
+    levelViewport.snap(position(1, -200, -150), [
+      { x: 300, y: 200 },
+      { x: 800, y: 600 }
+    ]),
+    position(1, -100, -50)
+  );
+
+  // Keep the position without snap points
+  assert.deepEqual(
+    levelViewport.snap(position(1, 10, 20), []),
+    position(1, 10, 20)
+  );
+});